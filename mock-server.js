@@ -0,0 +1,308 @@
+/**
+ * Local mock agent backend for offline development.
+ *
+ * Serves the prototype and answers chat requests with canned replies, so the
+ * 'http' agent adapter can be developed and tested without a real backend.
+ *
+ * Usage:
+ *   node mock-server.js            (listens on http://localhost:8787)
+ *   PORT=9000 node mock-server.js
+ *
+ * Then open http://localhost:8787/?adapter=http
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const ROOT = __dirname;
+
+// Largest chat request body we read, in bytes; bigger ones get a 413
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// File types we serve for the static prototype
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Headers that let the prototype call us from another origin (e.g. file:// or Netlify)
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+/**
+ * Builds a canned reply for a chat request
+ * @param {string} message - What the user typed
+ * @param {Array} history - Previous turns in the conversation
+ * @returns {string}
+ */
+function buildReply(message, history) {
+    const turn = Math.floor(history.length / 2) + 1;
+    return `*(mock backend, turn ${turn})* You asked: **${message}**\n\n` +
+        'I would normally query your data here. Some things I could look at:\n\n' +
+        '- **Revenue**: MRR before and after the release\n' +
+        '- **Retention**: months subscribed per cohort\n' +
+        '- **Feedback**: survey responses mentioning the feature\n\n' +
+        'For example, average months subscribed per signup cohort[^1]:\n\n' +
+        '```chart\n' +
+        JSON.stringify({
+            xLabel: 'signup month (2025)',
+            yLabel: 'months subscribed',
+            series: [
+                { type: 'bar', name: 'Average', points: [[5, 5.1], [6, 4.4], [7, 3.6], [8, 2.8], [9, 1.9], [10, 1.1]] },
+                { type: 'line', name: 'Target', points: [[5, 5.5], [10, 1.5]] }
+            ]
+        }) + '\n' +
+        '```\n\n' +
+        'This reply comes from `mock-server.js`.';
+}
+
+/**
+ * Builds the provenance shown by "Verify truth" for a canned reply
+ * @param {string} message - What the user typed
+ * @returns {Object}
+ */
+function buildProvenance(message) {
+    return {
+        sections: [
+            {
+                title: 'My process',
+                sources: [
+                    { table: 'prod-all-customer.userbase-table', description: 'I would have queried the table' }
+                ],
+                queries: [
+                    {
+                        table: 'prod-all-customer.userbase-table',
+                        sql: 'SELECT\n  COUNT(*) AS total_users\nFROM\n  `prod-all-customer.userbase-table`;'
+                    }
+                ],
+                notes: [`This is a canned answer from \`mock-server.js\` to "${message}".`]
+            }
+        ],
+        citations: [
+            { id: '1', section: 0, query: 0 }
+        ]
+    };
+}
+
+// Delay between streamed chunks, to make streaming visible
+const STREAM_CHUNK_DELAY = 40;
+
+// Agent steps reported before the reply, each lasting durationMs
+// (rows matches data/userbase-table.csv, the table the canned query reads)
+const MOCK_STEPS = [
+    { kind: 'tool_started', label: 'Looking for tables about your question...', durationMs: 800 },
+    { kind: 'sql_running', label: 'Running a SQL query...', durationMs: 1500 },
+    { kind: 'rows_returned', rows: 600, durationMs: 400 },
+    { kind: 'summarising', label: 'Summarising what I found...', durationMs: 900 }
+];
+
+/**
+ * Streams agent steps, the reply and then its provenance as Server-Sent Events
+ * @param {http.ServerResponse} res
+ * @param {string} reply
+ * @param {Object} provenance
+ */
+function streamReply(res, reply, provenance) {
+    res.writeHead(200, {
+        ...CORS_HEADERS,
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    // Split into words, keeping the whitespace, like a model emitting tokens
+    const chunks = reply.match(/\S+\s*|\s+/g) || [];
+    let closed = false;
+    let timer = null;
+    res.on('close', () => {
+        // Stop if the browser goes away mid-stream
+        closed = true;
+        clearTimeout(timer);
+    });
+
+    const send = payload => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+
+    // Each step waits as long as it says it took before the next event
+    function sendStep(index) {
+        if (closed) return;
+        if (index >= MOCK_STEPS.length) {
+            sendChunk(0);
+            return;
+        }
+        const step = MOCK_STEPS[index];
+        send({ type: 'step', ...step });
+        timer = setTimeout(() => sendStep(index + 1), step.durationMs);
+    }
+
+    function sendChunk(index) {
+        if (closed) return;
+        if (index >= chunks.length) {
+            send({ type: 'provenance', provenance });
+            res.write('data: [DONE]\n\n');
+            res.end();
+            return;
+        }
+        send({ delta: chunks[index] });
+        timer = setTimeout(() => sendChunk(index + 1), STREAM_CHUNK_DELAY);
+    }
+
+    sendStep(0);
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>} Rejects with `tooLarge` set if the body is over MAX_BODY_BYTES
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => Object.assign(new Error('Request body is too large'), { tooLarge: true });
+        if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+            reject(tooLarge());
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Stop buffering; the caller answers and drops the connection
+                req.removeAllListeners('data');
+                req.pause();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Sends a JSON response
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Handles POST /api/chat
+ */
+async function handleChat(req, res) {
+    let request;
+    try {
+        request = await readJsonBody(req);
+    } catch (error) {
+        if (error.tooLarge) {
+            // Don't read the rest of the upload: answer, then close the connection
+            res.setHeader('Connection', 'close');
+            res.on('finish', () => req.destroy());
+            sendJson(res, 413, { error: `Request body must be at most ${MAX_BODY_BYTES} bytes` });
+            return;
+        }
+        sendJson(res, 400, { error: 'Request body must be valid JSON' });
+        return;
+    }
+
+    if (typeof request.message !== 'string' || !request.message.trim()) {
+        sendJson(res, 400, { error: '"message" must be a non-empty string' });
+        return;
+    }
+
+    const history = Array.isArray(request.history) ? request.history : [];
+    console.log(`[mock] chat: "${request.message}" (${history.length} previous messages)`);
+    const reply = buildReply(request.message, history);
+    const provenance = buildProvenance(request.message);
+
+    if (request.stream) {
+        streamReply(res, reply, provenance);
+        return;
+    }
+    sendJson(res, 200, { reply, provenance });
+}
+
+/**
+ * Serves files from the repository so the prototype and the API share an origin
+ */
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, `http://localhost:${PORT}`).pathname);
+    } catch (error) {
+        // Malformed escapes like /%E0
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    // Don't allow requests to escape the repository folder, or to read
+    // dot-files and folders in it (like .git)
+    const relativePath = path.relative(ROOT, filePath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath) ||
+        relativePath.split(path.sep).some(part => part.startsWith('.'))) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        const type = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (req.url.startsWith('/api/chat')) {
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { error: 'Use POST' });
+            return;
+        }
+        handleChat(req, res);
+        return;
+    }
+
+    serveStatic(req, res);
+});
+
+// Only listen when run directly, so the canned data can be loaded by tests
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock agent backend running at http://localhost:${PORT}`);
+        console.log(`Open http://localhost:${PORT}/?adapter=http to chat with it`);
+    });
+}
+
+module.exports = { server, MOCK_STEPS, buildReply, buildProvenance };
@@ -3,15 +3,435 @@
  * Handles character animation, chat interface, and modal interactions.
  */
 
+// Where the character pack is loaded from when the page doesn't name one
+const DEFAULT_CHARACTER_PACK_URL = 'assets/character/pack.json';
+
+/**
+ * The character pack built into the page, used when a pack manifest can't be
+ * loaded (e.g. opened from disk, where fetch isn't allowed). It's a copy of
+ * assets/character/pack.json, so keep the two in step.
+ *
+ * A pack has:
+ *   name    - The persona's name, used as the avatar's alt text
+ *   avatar  - The sprite (or an image path) shown next to its messages
+ *   sprites - Images by name: a path, or a frame of a sprite sheet as
+ *             { image, x, y, width, height } in the sheet's pixels
+ *   preload - Other images to load up front (every sprite is loaded anyway)
+ *   states  - How the character behaves in each of CHARACTER_TRANSITIONS' states.
+ *             `frames` are played in order, each showing a sprite for `duration` milliseconds.
+ *             `effect` is a CSS class that animates the sprite on top (see styles.css).
+ *             States that don't `loop` move on to `next` after their last frame.
+ *             Listening has no frames: the character looks where the user is typing
+ *             (see CharacterTracker), using the sprites named in CHARACTER_GAZE_SPRITES.
+ *
+ * Paths are relative to the manifest.
+ */
+const DEFAULT_CHARACTER_PACK = {
+    name: 'DataSage',
+    avatar: 'idle',
+    sprites: {
+        'idle': 'idle.png',
+        'look-left': 'look-left.png',
+        'look-down-left': 'look-down-left.png',
+        'look-down': 'look-down.png',
+        'look-down-right': 'look-down-right.png',
+        'look-right': 'look-right.png'
+    },
+    preload: [],
+    states: {
+        idle: {
+            effect: 'character-breathing',
+            loop: true,
+            frames: [
+                { sprite: 'idle', duration: 4000 },
+                { sprite: 'look-down', duration: 150 }, // A blink: the eyes drop for a moment
+                { sprite: 'idle', duration: 3000 },
+                { sprite: 'look-left', duration: 700 },
+                { sprite: 'idle', duration: 2500 },
+                { sprite: 'look-right', duration: 700 }
+            ]
+        },
+        listening: {
+            effect: 'character-listening',
+            loop: true,
+            frames: []
+        },
+        thinking: {
+            effect: 'character-thinking',
+            loop: true,
+            frames: [
+                { sprite: 'look-left', duration: 900 },
+                { sprite: 'look-down-left', duration: 300 },
+                { sprite: 'idle', duration: 600 },
+                { sprite: 'look-right', duration: 900 },
+                { sprite: 'look-down-right', duration: 300 },
+                { sprite: 'idle', duration: 600 }
+            ]
+        },
+        presenting: {
+            effect: 'character-presenting',
+            loop: false,
+            next: 'idle',
+            frames: [
+                { sprite: 'look-down', duration: 250 },
+                { sprite: 'idle', duration: 350 }
+            ]
+        },
+        error: {
+            effect: 'character-error',
+            loop: false,
+            next: 'idle',
+            frames: [
+                { sprite: 'look-left', duration: 200 },
+                { sprite: 'look-right', duration: 200 },
+                { sprite: 'look-left', duration: 200 },
+                { sprite: 'look-right', duration: 200 },
+                { sprite: 'look-down', duration: 1000 }
+            ]
+        }
+    }
+};
+
+// Sprites the character looks at the caret with, from far left to far right.
+// A pack that leaves one out looks straight ahead (its idle sprite) instead.
+const CHARACTER_GAZE_SPRITES = ['look-left', 'look-down-left', 'look-down', 'look-down-right', 'look-right'];
+
+// The states each state can move to. Anything else is ignored, so a late
+// "stopped typing" can't interrupt the character while it's thinking.
+const CHARACTER_TRANSITIONS = {
+    idle: ['listening', 'thinking', 'error'],
+    listening: ['idle', 'thinking'],
+    thinking: ['presenting', 'error'],
+    presenting: ['idle', 'listening', 'thinking'],
+    error: ['idle', 'listening', 'thinking']
+};
+
+/**
+ * Checks a character pack manifest has everything the character needs.
+ * @param {Object} manifest - See DEFAULT_CHARACTER_PACK
+ * @returns {Object} The manifest
+ * @throws {Error} Describing the first problem found
+ */
+function validateCharacterPack(manifest) {
+    if (!manifest || typeof manifest.sprites !== 'object' || typeof manifest.states !== 'object') {
+        throw new Error('A character pack needs "sprites" and "states"');
+    }
+    if (!manifest.sprites.idle) {
+        throw new Error('A character pack needs an "idle" sprite');
+    }
+
+    Object.entries(manifest.sprites).forEach(([name, sprite]) => {
+        const isSheetFrame = sprite && typeof sprite.image === 'string' &&
+            ['x', 'y', 'width', 'height'].every(key => Number.isFinite(sprite[key]));
+        if (typeof sprite !== 'string' && !isSheetFrame) {
+            throw new Error(`Sprite "${name}" needs an image path, or { image, x, y, width, height }`);
+        }
+    });
+
+    Object.keys(CHARACTER_TRANSITIONS).forEach(name => {
+        const state = manifest.states[name];
+        if (!state || !Array.isArray(state.frames)) {
+            throw new Error(`The "${name}" state needs a list of frames`);
+        }
+        state.frames.forEach(frame => {
+            if (!manifest.sprites[frame.sprite]) {
+                throw new Error(`The "${name}" state uses a sprite that isn't listed: "${frame.sprite}"`);
+            }
+            if (!(frame.duration > 0)) {
+                throw new Error(`The "${name}" state has a frame without a duration`);
+            }
+        });
+        if (!state.loop && !CHARACTER_TRANSITIONS[state.next]) {
+            throw new Error(`The "${name}" state doesn't loop, so it needs a "next" state`);
+        }
+        if (name !== 'listening' && state.frames.length === 0) {
+            throw new Error(`The "${name}" state needs at least one frame`);
+        }
+    });
+
+    return manifest;
+}
+
+/**
+ * Loads an image, so it's ready to show without a flash
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement>}
+ */
+function preloadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Couldn't load ${url}`));
+        image.src = url;
+    });
+}
+
+/**
+ * Cuts one frame out of a sprite sheet, so it can be shown as an ordinary image
+ * @param {HTMLImageElement} sheet
+ * @param {Object} frame - { x, y, width, height }
+ * @returns {string} The frame as a data URL
+ */
+function cropSprite(sheet, { x, y, width, height }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(sheet, x, y, width, height, 0, 0, width, height);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Loads a character pack and every image in it.
+ *
+ * Falls back to DEFAULT_CHARACTER_PACK if the manifest can't be fetched or is
+ * invalid. Sprites that fail to load are left out, and the character shows its
+ * idle sprite in their place.
+ *
+ * @param {string} url - The pack's manifest
+ * @returns {Promise<Object>} { name, avatar, sprites: { name: url }, states, images }
+ */
+async function loadCharacterPack(url) {
+    let manifest = DEFAULT_CHARACTER_PACK;
+    let manifestUrl = new URL(DEFAULT_CHARACTER_PACK_URL, document.baseURI);
+
+    // Pages opened from disk can't fetch, so they go straight to the built-in pack
+    if (window.location.protocol !== 'file:') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`${url} responded with ${response.status}`);
+            }
+            manifest = validateCharacterPack(await response.json());
+            manifestUrl = new URL(url, document.baseURI);
+        } catch (error) {
+            console.warn('Could not load the character pack, using the built-in one:', error.message);
+        }
+    }
+
+    const resolve = path => new URL(path, manifestUrl).href;
+
+    // Sprite sheets are shared by many sprites, so each is only loaded once
+    const images = new Map();
+    const load = path => {
+        const imageUrl = resolve(path);
+        if (!images.has(imageUrl)) images.set(imageUrl, preloadImage(imageUrl));
+        return images.get(imageUrl);
+    };
+
+    const sprites = {};
+    await Promise.all(Object.entries(manifest.sprites).map(async ([name, sprite]) => {
+        try {
+            if (typeof sprite === 'string') {
+                await load(sprite);
+                sprites[name] = resolve(sprite);
+            } else {
+                sprites[name] = cropSprite(await load(sprite.image), sprite);
+            }
+        } catch (error) {
+            console.warn(`Could not load the "${name}" sprite:`, error.message);
+        }
+    }));
+
+    // Extra images only need to be in the cache
+    await Promise.all((manifest.preload || []).map(path => load(path).catch(error => console.warn(error.message))));
+
+    return {
+        name: manifest.name || 'Character',
+        avatar: sprites[manifest.avatar] || (manifest.avatar ? resolve(manifest.avatar) : sprites.idle),
+        sprites,
+        states: manifest.states,
+        // Kept so the browser holds on to the decoded images
+        images: await Promise.all(Array.from(images.values()).map(image => image.catch(() => null)))
+    };
+}
+
+/**
+ * Animates the character through its states, drawn from a character pack.
+ *
+ * Created before the page is ready and attached to the character image on load,
+ * so the chat flow can change its state from anywhere. Nothing is animated until
+ * the pack has loaded; the page's own idle image shows until then.
+ */
+class CharacterAnimator {
+    constructor() {
+        this.element = null;        // The pixel character image
+        this.pack = null;           // From loadCharacterPack
+        this.state = 'idle';
+        this.frameIndex = 0;        // Next frame to show
+        this.frameTimer = null;
+        this.gaze = 'look-down';    // Where the character looks while listening
+        this.onStateEnd = null;     // Resolves play() when a state that doesn't loop has finished
+    }
+
+    /**
+     * The image shown next to the character's messages
+     * @returns {string}
+     */
+    get avatar() {
+        return this.pack
+            ? this.pack.avatar
+            : new URL(DEFAULT_CHARACTER_PACK.sprites.idle, new URL(DEFAULT_CHARACTER_PACK_URL, document.baseURI)).href;
+    }
+
+    /**
+     * Animate the character image
+     * @param {HTMLImageElement} element
+     */
+    attach(element) {
+        this.element = element;
+        if (this.pack) this.enter(this.state);
+
+        // Pick up a new animation speed straight away
+        motion.onChange(() => {
+            if (this.pack) this.enter(this.state);
+        });
+    }
+
+    /**
+     * Draw the character from a (loaded) pack, carrying on in the same state
+     * @param {Object} pack - From loadCharacterPack
+     */
+    setPack(pack) {
+        this.pack = pack;
+        if (this.element) this.element.alt = pack.name;
+
+        // Messages already in the chat get the new avatar too
+        document.querySelectorAll('.message-avatar').forEach(avatar => {
+            avatar.src = pack.avatar;
+        });
+
+        this.enter(this.state);
+    }
+
+    /**
+     * Move to another state, if CHARACTER_TRANSITIONS allows it
+     * @param {string} state
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Move even if the transition isn't allowed
+     * @returns {boolean} Whether the character is now in that state
+     */
+    setState(state, { force = false } = {}) {
+        if (state === this.state) return true;
+        if (!force && !CHARACTER_TRANSITIONS[this.state].includes(state)) return false;
+        this.enter(state);
+        return true;
+    }
+
+    /**
+     * Play a state that doesn't loop, like presenting
+     * @param {string} state
+     * @returns {Promise<void>} Resolves once it has finished (straight away if it couldn't start)
+     */
+    play(state) {
+        if (!this.setState(state) || !this.element || !this.pack) return Promise.resolve();
+        return new Promise(resolve => { this.onStateEnd = resolve; });
+    }
+
+    /**
+     * @param {string} state
+     */
+    enter(state) {
+        clearTimeout(this.frameTimer);
+        if (this.onStateEnd) {
+            this.onStateEnd();
+            this.onStateEnd = null;
+        }
+
+        this.state = state;
+        this.frameIndex = 0;
+        if (!this.element || !this.pack) return;
+
+        const effects = Object.values(this.pack.states).map(config => config.effect).filter(Boolean);
+        this.element.classList.remove(...effects);
+        void this.element.offsetWidth; // Restart the effect if the new state shares it
+        const { effect } = this.pack.states[state];
+        if (effect) this.element.classList.add(effect);
+        this.element.dataset.state = state;
+
+        if (state === 'listening') {
+            this.showSprite(this.gaze);
+        } else {
+            this.showNextFrame();
+        }
+    }
+
+    showNextFrame() {
+        const { frames, loop, next } = this.pack.states[this.state];
+
+        // With reduced motion the character holds still on a state's first
+        // frame, and states that don't loop are skipped (on the next tick, so
+        // play() has its promise waiting)
+        if (motion.reduced) {
+            if (loop) {
+                this.showSprite(frames[0].sprite);
+            } else {
+                this.frameTimer = setTimeout(() => this.enter(next), 0);
+            }
+            return;
+        }
+
+        if (this.frameIndex >= frames.length) {
+            if (!loop) {
+                this.enter(next);
+                return;
+            }
+            this.frameIndex = 0;
+        }
+
+        const frame = frames[this.frameIndex++];
+        this.showSprite(frame.sprite);
+        this.frameTimer = setTimeout(() => this.showNextFrame(), motion.duration(frame.duration));
+    }
+
+    /**
+     * Where to look while listening
+     * @param {string} direction - One of CHARACTER_GAZE_SPRITES, or 'idle'
+     */
+    look(direction) {
+        this.gaze = CHARACTER_GAZE_SPRITES.includes(direction) ? direction : 'idle';
+        if (this.state === 'listening') this.showSprite(this.gaze);
+    }
+
+    /**
+     * @param {string} sprite - A sprite in the pack (idle is shown for any it doesn't have)
+     */
+    showSprite(sprite) {
+        if (!this.element || !this.pack) return;
+        const src = this.pack.sprites[sprite] || this.pack.sprites.idle;
+        if (src && this.element.src !== src) {
+            this.element.src = src;
+        }
+    }
+}
+
+const character = new CharacterAnimator();
+
+// Styles that decide where text wraps in a textarea, copied onto the mirror div
+const CARET_MIRROR_PROPERTIES = [
+    'direction', 'unicodeBidi', 'boxSizing', 'width',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'fontSizeAdjust',
+    'fontFamily', 'fontFeatureSettings', 'fontKerning', 'lineHeight',
+    'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing',
+    'tabSize', 'whiteSpace', 'wordBreak', 'overflowWrap', 'hyphens'
+];
+
 /**
  * Tracks cursor position to update character direction.
+ *
+ * Typing puts the character in its listening state, and it goes back to idle
+ * once the user stops for a while or leaves the input.
  */
 class CharacterTracker {
-    constructor(characterElement, textarea) {
+    constructor(animator, textarea) {
         this.currentDirection = 'idle';  // Current direction the character is facing
         this.lastUpdateTime = 0;         // Last time we updated the direction (for performance)
         this.UPDATE_THRESHOLD = 50;      // Only update every 50 milliseconds to avoid lag
-        this.character = characterElement; // The pixel character image element
+        this.trailingTimer = null;       // Catches the last update of a burst of typing
+        this.LISTENING_TIMEOUT = 4000;   // Go back to idle after this long without typing
+        this.listeningTimer = null;
+        this.animator = animator;         // The CharacterAnimator drawing the character
         this.textarea = textarea;         // The text input field
         this.mirrorDiv = document.createElement('div'); // Hidden div used to calculate cursor position
         this.initMirrorDiv();
@@ -26,129 +446,179 @@ class CharacterTracker {
      */
     initMirrorDiv() {
         this.mirrorDiv.style.position = 'absolute';
+        this.mirrorDiv.style.top = '0';
+        this.mirrorDiv.style.left = '-9999px';
         this.mirrorDiv.style.visibility = 'hidden';  // Make it invisible
-        this.mirrorDiv.style.whiteSpace = 'pre-wrap'; // Match textarea text wrapping
-        this.mirrorDiv.style.wordWrap = 'break-word';
+        this.mirrorDiv.style.overflow = 'hidden';
+        this.mirrorDiv.setAttribute('aria-hidden', 'true');
         document.body.appendChild(this.mirrorDiv);
     }
 
     /**
      * Set up event listeners
      * 
-     * Listen for when the user types, clicks, or moves the cursor
-     * so we can update the character's direction
+     * Listen for when the user types, clicks, selects, scrolls or composes text
+     * with an input method (IME), so we can update the character's direction
      */
     init() {
-        this.textarea.addEventListener('input', () => this.updateDirection());
-        this.textarea.addEventListener('click', () => this.updateDirection());
-        this.textarea.addEventListener('keyup', () => this.updateDirection());
+        this.textarea.addEventListener('input', () => {
+            this.listen();
+            this.updateDirection();
+        });
+        ['click', 'keyup', 'select', 'scroll', 'compositionupdate', 'compositionend'].forEach(type => {
+            this.textarea.addEventListener(type, () => this.updateDirection());
+        });
+        this.textarea.addEventListener('compositionstart', () => this.listen());
+        this.textarea.addEventListener('blur', () => this.stopListening());
+
+        // Dragging out a selection with the mouse only fires selectionchange
+        document.addEventListener('selectionchange', () => {
+            if (document.activeElement === this.textarea) this.updateDirection();
+        });
+    }
+
+    /**
+     * Listen while there's something being typed
+     */
+    listen() {
+        clearTimeout(this.listeningTimer);
+        if (!this.textarea.value.trim()) {
+            this.stopListening();
+            return;
+        }
+        this.animator.setState('listening');
+        this.listeningTimer = setTimeout(() => this.stopListening(), this.LISTENING_TIMEOUT);
+    }
+
+    stopListening() {
+        clearTimeout(this.listeningTimer);
+        if (this.animator.state === 'listening') this.animator.setState('idle');
     }
 
     /**
      * Calculate the exact position of the cursor
      * 
-     * Returns: An object with x and y coordinates of the cursor
+     * With a selection, this is the end being moved (where the caret blinks).
+     * Text composed with an IME counts as typed, so the caret is after it.
+     *
+     * Returns: An object with the x and y of the caret in the viewport, and the
+     * height of its line. It's kept inside the textarea when scrolled out of view.
      */
     getCursorPosition() {
-        const textareaRect = this.textarea.getBoundingClientRect();
-        const textareaStyles = window.getComputedStyle(this.textarea);
-
-        // Copy all the textarea's styling to our mirror div so they match exactly
-        this.mirrorDiv.style.width = textareaStyles.width;
-        this.mirrorDiv.style.font = textareaStyles.font;
-        this.mirrorDiv.style.padding = textareaStyles.padding;
-        this.mirrorDiv.style.border = textareaStyles.border;
-        this.mirrorDiv.style.lineHeight = textareaStyles.lineHeight;
-
-        // Get all the text before the cursor position
-        const cursorPos = this.textarea.selectionStart;
-        const textBeforeCursor = this.textarea.value.substring(0, cursorPos);
-
-        // Put that text in the mirror div
-        this.mirrorDiv.textContent = textBeforeCursor;
-
-        // Add a marker (|) at the cursor position so we can measure where it is
-        const cursorSpan = document.createElement('span');
-        cursorSpan.textContent = '|';
-        this.mirrorDiv.appendChild(cursorSpan);
+        const textarea = this.textarea;
+        const textareaRect = textarea.getBoundingClientRect();
+        const textareaStyles = window.getComputedStyle(textarea);
 
-        // Measure where the marker is positioned
-        const cursorSpanRect = cursorSpan.getBoundingClientRect();
-        const mirrorDivRect = this.mirrorDiv.getBoundingClientRect();
+        // Copy the textarea's styling to our mirror div so its text wraps in the same places
+        CARET_MIRROR_PROPERTIES.forEach(property => {
+            this.mirrorDiv.style[property] = textareaStyles[property];
+        });
+        this.mirrorDiv.dir = textarea.dir;
+        // Textareas always wrap long words, and their scrollbar takes up width
+        if (textareaStyles.whiteSpace === 'normal') this.mirrorDiv.style.whiteSpace = 'pre-wrap';
+        this.mirrorDiv.style.overflowWrap = 'break-word';
+        this.mirrorDiv.style.width = `${textarea.clientWidth + parseFloat(textareaStyles.borderLeftWidth) +
+            parseFloat(textareaStyles.borderRightWidth)}px`;
+        this.mirrorDiv.style.boxSizing = 'border-box';
+
+        // Text before the caret, a marker where it is, and the rest so the marker's line wraps the same way
+        const caret = textarea.selectionDirection === 'backward' ? textarea.selectionStart : textarea.selectionEnd;
+        const value = textarea.value;
+        this.mirrorDiv.textContent = value.substring(0, caret);
+        const caretSpan = document.createElement('span');
+        // A zero-width space has a line box but doesn't change where the line wraps
+        caretSpan.textContent = '\u200b';
+        this.mirrorDiv.appendChild(caretSpan);
+        this.mirrorDiv.appendChild(document.createTextNode(value.substring(caret) || ' '));
+
+        // Measure where the marker is, relative to the mirror, then place it over the textarea
+        const caretRect = caretSpan.getBoundingClientRect();
+        const mirrorRect = this.mirrorDiv.getBoundingClientRect();
+        const x = textareaRect.left + caretRect.left - mirrorRect.left - textarea.scrollLeft;
+        const y = textareaRect.top + caretRect.top - mirrorRect.top - textarea.scrollTop;
+        const lineHeight = caretRect.height || parseFloat(textareaStyles.lineHeight) || parseFloat(textareaStyles.fontSize) * 1.2;
 
         return {
-            x: cursorSpanRect.left - mirrorDivRect.left,
-            y: cursorSpanRect.top - mirrorDivRect.top
+            x: Math.min(Math.max(x, textareaRect.left), textareaRect.right),
+            y: Math.min(Math.max(y, textareaRect.top), textareaRect.bottom - lineHeight),
+            lineHeight
         };
     }
 
+    /**
+     * Where the character's eyes are. While it's hidden, a point just above the
+     * middle of the input, where it stands when it comes back.
+     * @returns {{x: number, y: number}}
+     */
+    getEyePosition() {
+        const rect = this.animator.element ? this.animator.element.getBoundingClientRect() : null;
+        if (rect && rect.width > 0) {
+            return { x: rect.left + rect.width / 2, y: rect.top + rect.height * 0.4 };
+        }
+        const textareaRect = this.textarea.getBoundingClientRect();
+        return { x: textareaRect.left + textareaRect.width / 2, y: textareaRect.top - 80 };
+    }
+
     /**
      * Update which direction the character should face
      * 
-     * This is called whenever the user types or moves the cursor
+     * This is called whenever the user types or moves the cursor. Calls that come
+     * too quickly are folded into one that runs once the burst is over, so the
+     * character always ends up facing the real caret.
      */
     updateDirection() {
         // Performance optimization: Don't update too frequently (only every 50ms)
         const now = Date.now();
-        if (now - this.lastUpdateTime < this.UPDATE_THRESHOLD) {
+        const wait = this.UPDATE_THRESHOLD - (now - this.lastUpdateTime);
+        if (wait > 0) {
+            if (!this.trailingTimer) {
+                this.trailingTimer = setTimeout(() => {
+                    this.trailingTimer = null;
+                    this.updateDirection();
+                }, wait);
+            }
             return;
         }
         this.lastUpdateTime = now;
+        clearTimeout(this.trailingTimer);
+        this.trailingTimer = null;
 
-        // Get the cursor position
+        // The angle from straight down between the character's eyes and the caret.
+        // Lower lines are further below the character, so it looks more steeply down at them.
         const cursorPos = this.getCursorPosition();
-        const textareaRect = this.textarea.getBoundingClientRect();
-        const centerX = textareaRect.width / 2;
+        const eyes = this.getEyePosition();
+        const dx = cursorPos.x - eyes.x;
+        const dy = Math.max(1, cursorPos.y + cursorPos.lineHeight / 2 - eyes.y);
+        const angle = Math.atan2(Math.abs(dx), dy) * 180 / Math.PI;
 
-        // Decide which direction based on cursor position (5 divisions)
+        // Decide which direction based on the angle (5 divisions)
         let direction;
-        if (cursorPos.x < centerX * 0.5) {
-            // Cursor is on the far left
-            direction = 'look-left';
-        }
-        else if (cursorPos.x < centerX * 0.85) {
-            // Cursor is on the left-center
-            direction = 'look-down-left';
-        }
-        else if (cursorPos.x < centerX * 1.15) {
-            // Cursor is in the center
+        if (angle < 30) {
+            // Caret is roughly below the character
             direction = 'look-down';
         }
-        else if (cursorPos.x < centerX * 1.5) {
-            // Cursor is on the right-center
-            direction = 'look-down-right';
+        else if (angle < 62) {
+            // Caret is down and off to one side
+            direction = dx < 0 ? 'look-down-left' : 'look-down-right';
         }
         else {
-            // Cursor is on the far right
-            direction = 'look-right';
+            // Caret is far off to one side
+            direction = dx < 0 ? 'look-left' : 'look-right';
         }
         this.setDirection(direction);
     }
 
     /**
-     * Change the character's sprite image to match the direction
+     * Point the character's gaze in a direction
      * 
-     * Each direction has its own image file (idle.png, look-left.png, etc.)
+     * Each direction is a sprite in the character pack (see CHARACTER_GAZE_SPRITES).
+     * It's only shown while the character is listening.
      */
     setDirection(direction) {
         // Only update if the direction actually changed
         if (this.currentDirection !== direction) {
             this.currentDirection = direction;
-
-            // Validate the direction name
-            let spriteName = direction;
-            const validDirections = ['idle', 'look-left', 'look-down-left', 'look-down', 'look-down-right', 'look-right'];
-            if (!validDirections.includes(direction)) {
-                spriteName = 'idle';
-            }
-
-            // Build the path to the sprite image
-            const spritePath = spriteName === 'idle'
-                ? 'assets/character/idle.png'
-                : `assets/character/${spriteName}.png`;
-
-            // Update the character image
-            this.character.src = spritePath;
+            this.animator.look(direction);
         }
     }
 }
@@ -168,18 +638,26 @@ class TypeWriter {
      * 
      * @param text - The text to type out
      * @param speed - How fast to type (milliseconds between each letter)
+     * @param {AbortSignal} [signal] - Stops typing where it is, rejecting with an AbortError
      */
-    async type(text, speed = 50) {
+    async type(text, speed = 50, signal) {
         this.isTyping = true;
         this.text = '';
         this.element.textContent = '';
 
+        // With reduced motion the text just appears
+        if (motion.reduced) {
+            this.text = text;
+            this.element.textContent = text;
+            return;
+        }
+
         // Add one letter at a time
         for (let i = 0; i < text.length; i++) {
             if (!this.isTyping) break;  // Stop if typing was cancelled
             this.text += text[i];
             this.element.textContent = this.text;
-            await this.sleep(speed);  // Wait before adding next letter
+            await sleep(motion.duration(speed), signal);  // Wait before adding next letter
         }
     }
 
@@ -187,28 +665,27 @@ class TypeWriter {
      * Delete text letter by letter (backspace effect)
      * 
      * @param speed - How fast to delete (milliseconds between each deletion)
+     * @param {AbortSignal} [signal] - Stops deleting where it is, rejecting with an AbortError
      */
-    async delete(speed = 30) {
+    async delete(speed = 30, signal) {
         this.isTyping = true;
 
+        // With reduced motion the text just disappears
+        if (motion.reduced) {
+            this.text = '';
+            this.element.textContent = '';
+            return;
+        }
+
         // Remove one letter at a time from the end
         while (this.text.length > 0) {
             if (!this.isTyping) break;
             this.text = this.text.slice(0, -1);  // Remove last character
             this.element.textContent = this.text;
-            await this.sleep(speed);
+            await sleep(motion.duration(speed), signal);
         }
     }
 
-    /**
-     * Helper function to pause/wait for a specified time
-     * 
-     * @param ms - Milliseconds to wait
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Stop the typing animation
      */
@@ -228,7 +705,8 @@ function autoResizeTextarea(textarea) {
 /**
  * Adds a message to the chat.
  * @param {'user'|'ai'} type 
- * @param {string} content 
+ * @param {string} content - Plain text for user messages. HTML for AI messages, which must
+ *   come from the renderers (replyToHtml, renderMarkdown), never straight from a reply.
  * @param {string} [avatar] 
  * @param {boolean} shouldScroll - Whether to auto-scroll to the bottom (default: true)
  * @returns {HTMLElement} The created message element
@@ -250,12 +728,19 @@ function addMessage(type, content, avatar = null, shouldScroll = true) {
     // Add the message content
     const contentDiv = document.createElement('div');
     contentDiv.className = 'message-content';
-    contentDiv.innerHTML = content; // Use innerHTML to support formatting
+    if (type === 'user') {
+        contentDiv.textContent = content;
+    } else {
+        contentDiv.innerHTML = content;
+    }
     messageDiv.appendChild(contentDiv);
 
     // Add to chat and scroll to show the new message
     chatMessages.appendChild(messageDiv);
 
+    // Draw any charts in the reply, now that they have a size
+    mountMessageCharts(contentDiv);
+
     if (shouldScroll) {
         chatMessages.scrollTop = chatMessages.scrollHeight;
     }
@@ -264,602 +749,5854 @@ function addMessage(type, content, avatar = null, shouldScroll = true) {
 }
 
 /**
- * Simulates AI thinking and response sequence.
+ * Escapes text so it can be safely placed inside innerHTML.
+ * @param {string} text
+ * @returns {string}
  */
-async function simulateAIConversation() {
-    // Get references to the elements we'll animate
-    const thoughtBubble = document.getElementById('thoughtBubble');
-    const thoughtContent = thoughtBubble.querySelector('.thought-bubble-content');
-    const characterWrapper = document.querySelector('.character-wrapper');
-    const typeWriter = new TypeWriter(thoughtContent);
-
-    // Show the thought bubble
-    thoughtBubble.style.display = 'block';
-
-    // The sequence of thoughts to display
-    const thoughts = [
-        "Thinking...",
-        "Writing a SQL query to get numbers and facts...",
-        "Listening to what users have said..."
-    ];
-
-    // Display each thought one by one
-    for (let i = 0; i < thoughts.length; i++) {
-        // Type out the thought letter by letter
-        await typeWriter.type(thoughts[i], 50);
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-        // Keep it visible for 3 seconds
-        await typeWriter.sleep(3000);
+/**
+ * Agent backend configuration.
+ *
+ * `adapter` picks who answers chat messages:
+ *  - 'demo' replays the scripted DataSage reply (works offline, no server needed)
+ *  - 'http' POSTs each message to `endpoint` (run `node mock-server.js` for a local stub)
+ *
+ * Both can be overridden from the page URL, e.g. `?adapter=http&endpoint=http://localhost:8787/api/chat`
+ *
+ * `characterPack` is the manifest for the persona the agent is drawn as (see
+ * DEFAULT_CHARACTER_PACK), and can be overridden with `?character=<url>`.
+ */
+const AGENT_CONFIG = {
+    adapter: 'demo',
+    endpoint: 'http://localhost:8787/api/chat',
+    characterPack: DEFAULT_CHARACTER_PACK_URL,
+    // Hook for adding auth headers (e.g. an API key) to every backend request.
+    // May return a plain object or a promise of one.
+    getAuthHeaders: () => ({})
+};
+
+// How long animations take at each speed setting, relative to normal
+const MOTION_SPEEDS = {
+    slow: 1.5,
+    normal: 1,
+    fast: 0.5,
+    off: 0
+};
+
+// The animation speed picked in the account panel (StoredSetting is in settings.js)
+const MOTION_SPEED_SETTING = new StoredSetting('datasage-motion-speed', Object.keys(MOTION_SPEEDS), 'normal');
 
-        // Delete the thought (except the last one)
-        if (i < thoughts.length - 1) {
-            await typeWriter.delete(30);
-        }
+/**
+ * The user's motion preferences, read by every timed effect.
+ *
+ * Motion is reduced when the system asks for it (prefers-reduced-motion) or the
+ * speed is set to off: text appears at once, nothing slides and scrolling jumps.
+ * Otherwise animations run at the chosen speed.
+ *
+ * The stylesheet follows along through the `reduced-motion` class and the
+ * `--motion-scale` variable on the root element.
+ */
+class MotionSettings {
+    constructor() {
+        this.speed = MOTION_SPEED_SETTING.defaultValue; // A key of MOTION_SPEEDS
+        this.systemReduced = false;  // prefers-reduced-motion: reduce
+        this.listeners = [];         // Called whenever either changes
     }
 
-    // Brief pause before exit animations
-    await typeWriter.sleep(500);
-
-    // Animate the thought bubble floating up and character sliding down
-    thoughtBubble.classList.add('bubble-float-up');
-    characterWrapper.classList.add('character-slide-down');
+    /**
+     * Read the saved speed and start following the system setting
+     */
+    init() {
+        this.speed = MOTION_SPEED_SETTING.read();
+        watchMediaQuery('(prefers-reduced-motion: reduce)', (matches) => {
+            this.systemReduced = matches;
+            this.apply();
+        });
+    }
 
-    // Wait for animations to finish
-    await typeWriter.sleep(1000);
+    /**
+     * Whether animations should be skipped
+     * @returns {boolean}
+     */
+    get reduced() {
+        return this.systemReduced || MOTION_SPEEDS[this.speed] === 0;
+    }
 
-    // Hide the character completely
-    characterWrapper.classList.add('hidden');
+    /**
+     * How long an animation lasts at the current speed
+     * @param {number} ms - Its length at normal speed
+     * @returns {number} 0 when motion is reduced
+     */
+    duration(ms) {
+        return this.reduced ? 0 : Math.round(ms * MOTION_SPEEDS[this.speed]);
+    }
 
-    // The AI's response (hardcoded for this demo)
-    const aiResponse = `Since the launch of that feature, there has been a <strong>3% increase in MRR</strong> 📈. It appears a major contributing trend has been an average increase of <strong>1.3 months</strong> in subscription duration 🗓️.
-    <br><br>
-    Reading user opinions 🗣️:
-    <ul style="margin-top: 8px; padding-left: 20px; list-style-type: none;">
-        <li style="margin-bottom: 4px;">👥 <strong>Long-term users (>7 months)</strong> have praised the diagnostic tool for enabling more trustable agents.</li>
-        <li style="margin-bottom: 4px;">⚡ <strong>Power users</strong> noted it allows them to create trusted agents for their clients.</li>
-        <li>🛠️ <strong>Technical users</strong> appreciate the ability to debug and understand issues, setting Relevance AI apart from other builders.</li>
-    </ul>`;
+    /**
+     * How long a pause lasts at the current speed. Unlike animations, pauses
+     * that give people time to read are kept when motion is reduced.
+     * @param {number} ms - Its length at normal speed
+     * @returns {number}
+     */
+    delay(ms) {
+        return Math.round(ms * (MOTION_SPEEDS[this.speed] || 1));
+    }
 
-    // Add the AI response to the chat
-    // Pass false for shouldScroll to prevent jumping to bottom, allowing smooth scroll to top
-    const messageElement = addMessage('ai', aiResponse, 'assets/character/idle.png', false);
+    /**
+     * @param {string} speed - A key of MOTION_SPEEDS
+     */
+    setSpeed(speed) {
+        if (!MOTION_SPEED_SETTING.values.includes(speed)) return;
+        this.speed = speed;
+        MOTION_SPEED_SETTING.write(speed);
+        this.apply();
+    }
 
-    // Scroll the message to the top of the view (respecting scroll-margin-top)
-    // Scroll the message to the top of the view (respecting scroll-margin-top)
-    // Use a small timeout to ensure the DOM is fully updated and layout is stable
-    setTimeout(() => {
-        smoothScrollTo(messageElement, 1500); // 1.5s duration for very smooth effect
-    }, 100);
+    /**
+     * Register a listener for changes to the speed or the system setting
+     * @param {Function} listener
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
 
-    // Add the "Verify truth" button after the AI message
-    addVerifyButton();
+    apply() {
+        const root = document.documentElement;
+        root.classList.toggle('reduced-motion', this.reduced);
+        root.style.setProperty('--motion-scale', this.reduced ? 0 : MOTION_SPEEDS[this.speed]);
+        this.listeners.forEach(listener => listener());
+    }
 }
 
+const motion = new MotionSettings();
+
 /**
- * Adds the "Verify truth" button to chat.
+ * The colour theme, light or dark.
+ *
+ * The theme is set as `data-theme` on the root element and the stylesheet does
+ * the rest with its colour variables, so charts, SQL highlighting and tooltips
+ * change along with everything else. settings.js sets it once before the page
+ * is drawn, and this keeps it up to date.
  */
-function addVerifyButton() {
-    const chatMessages = document.getElementById('chatMessages');
+class ThemeSettings {
+    constructor() {
+        this.preference = THEME_SETTING.defaultValue; // One of THEME_SETTING's values
+        this.systemDark = false;    // prefers-color-scheme: dark
+    }
 
-    // Create a container for the button
-    const buttonContainer = document.createElement('div');
-    buttonContainer.className = 'verify-button-container';
+    /**
+     * Read the saved preference and start following the system setting
+     */
+    init() {
+        this.preference = THEME_SETTING.read();
+        watchMediaQuery('(prefers-color-scheme: dark)', (matches) => {
+            this.systemDark = matches;
+            this.apply();
+        });
+    }
 
-    // Create the button
-    const button = document.createElement('button');
-    button.className = 'verify-button';
-    button.textContent = 'Verify truth';
+    /**
+     * The theme being shown
+     * @returns {'light'|'dark'}
+     */
+    get theme() {
+        return themeFor(this.preference, this.systemDark);
+    }
 
-    // When clicked, open the modal with process details
-    button.addEventListener('click', () => {
-        openModal();
-    });
+    /**
+     * @param {string} preference - One of THEME_SETTING's values
+     */
+    setPreference(preference) {
+        if (!THEME_SETTING.values.includes(preference)) return;
+        this.preference = preference;
+        THEME_SETTING.write(preference);
+        this.apply();
+    }
 
-    // Add button to the chat
-    buttonContainer.appendChild(button);
-    chatMessages.appendChild(buttonContainer);
+    apply() {
+        document.documentElement.dataset.theme = this.theme;
+    }
 }
 
+const theme = new ThemeSettings();
+
 /**
- * Opens the process modal.
+ * Shows a setting's value in its <select> in the account panel, and passes on changes.
+ * @param {HTMLSelectElement} select
+ * @param {string} value - The current value
+ * @param {function(string)} onChange - Called with the newly picked value
  */
-function openModal() {
-    const modal = document.getElementById('processModal');
-    if (modal) {
-        modal.style.display = 'flex';  // Show the modal
-    }
+function initSettingSelect(select, value, onChange) {
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
 }
 
 /**
- * Close the modal dialog
+ * Pauses for a number of milliseconds.
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Cuts the pause short, rejecting with an AbortError
  */
-function closeModal() {
-    const modal = document.getElementById('processModal');
-    if (modal) {
-        modal.style.display = 'none';  // Hide the modal
-    }
+function sleep(ms, signal) {
+    let timer;
+    return untilAborted(new Promise(resolve => { timer = setTimeout(resolve, ms); }), signal)
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Waits for a promise, unless the signal is aborted first.
+ * The work behind the promise isn't stopped, only no longer waited for.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise} Rejects with an AbortError if the signal is aborted first
+ */
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('The reply was stopped', 'AbortError'));
+        if (signal.aborted) {
+            abort();
+            return;
+        }
+        signal.addEventListener('abort', abort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+    });
 }
 
-// Prevents multiple submissions in this demo
-let messageSubmitted = false;
+// The agent steps the demo plays out before its scripted answer
+// (the row count is the size of the sample userbase table, which "Run query" reads)
+const DEMO_AGENT_STEPS = [
+    { kind: 'thinking', label: 'Thinking...', durationMs: 2500 },
+    { kind: 'sql_running', label: 'Writing a SQL query to get numbers and facts...', durationMs: 3000 },
+    { kind: 'rows_returned', label: 'Got 600 rows back from the userbase table', rows: 600, durationMs: 1200 },
+    { kind: 'tool_started', label: 'Listening to what users have said...', durationMs: 3000 },
+    { kind: 'summarising', label: 'Summarising what I found...', durationMs: 1500 }
+];
+
+// Where the demo's scripted answer came from, shown by "Verify truth"
+const DEMO_PROVENANCE = {
+    sections: [
+        {
+            title: 'My quantitative process',
+            sources: [
+                { table: 'prod-all-customer.userbase-table', description: 'I queried the table' }
+            ],
+            queries: [
+                {
+                    table: 'prod-all-customer.userbase-table',
+                    sql: 'SELECT\n' +
+                        '  COUNT(*) AS total_users,\n' +
+                        '  AVG(months_subscribed) AS avg_months_subscribed,\n' +
+                        '  AVG(customer_lifetime_value) AS avg_clv\n' +
+                        'FROM\n' +
+                        '  `prod-all-customer.userbase-table`;'
+                },
+                {
+                    table: 'prod-all-customer.userbase-table',
+                    sql: 'SELECT\n' +
+                        '  `a-b-test-tags` AS test_group,\n' +
+                        '  COUNT(*) AS users,\n' +
+                        '  AVG(months_subscribed) AS avg_months_subscribed,\n' +
+                        '  STDDEV(months_subscribed) AS sd_months_subscribed\n' +
+                        'FROM\n' +
+                        '  `prod-all-customer.userbase-table`\n' +
+                        'WHERE\n' +
+                        "  `a-b-test-tags` IN ('A', 'B')\n" +
+                        'GROUP BY\n' +
+                        '  `a-b-test-tags`\n' +
+                        'ORDER BY\n' +
+                        '  test_group;'
+                },
+                {
+                    table: 'prod-all-customer.userbase-table',
+                    sql: 'SELECT\n' +
+                        "  100 * (AVG(CASE WHEN `a-b-test-tags` = 'B' THEN mrr END) /\n" +
+                        "    AVG(CASE WHEN `a-b-test-tags` = 'A' THEN mrr END) - 1) AS mrr_increase_percent\n" +
+                        'FROM\n' +
+                        '  `prod-all-customer.userbase-table`;'
+                }
+            ],
+            notes: [
+                'I also used the A/B test feature flag column `a-b-test-tags` in `prod-all-customers.userbase-table` ' +
+                'to compare users who experienced the feature compared to users who did not during the A/B test ' +
+                'conducted between 11 October 2025 and 4 November 2025.'
+            ],
+            statistics: {
+                method: 'z-test for difference in means',
+                purpose: 'to see if there is any meaningful difference between length of subscription',
+                metric: 'subscription duration',
+                unit: 'months',
+                parameters: { alpha: 0.05, confidenceLevel: 0.95 },
+                // months_subscribed for every user in each group of the A/B test
+                groups: [
+                    {
+                        name: 'A',
+                        description: 'users who did not',
+                        samples: [
+                            6, 14, 9, 9, 7, 11, 9, 5, 13, 8, 12, 11, 8, 8, 11, 12, 9, 9, 11, 7, 9, 12,
+                            8, 7, 5, 8, 5, 8, 11, 3, 9, 6, 6, 9, 12, 11, 9, 12, 8, 14, 9, 10, 7, 8, 8,
+                            8, 7, 12, 8, 6, 7, 14, 9, 13, 12, 8, 13, 6, 11, 9, 7, 10, 8, 10, 9, 11, 6,
+                            10, 8, 5, 10, 9, 7, 12, 12, 10, 12, 6, 7, 5, 3, 12, 13, 7, 10, 9, 10, 4, 4,
+                            11, 14, 4, 9, 9, 5, 9, 8, 8, 6, 10, 9, 9, 8, 11, 6, 9, 6, 9, 10, 8, 8, 14,
+                            6, 10, 8, 6, 7, 8, 8, 11, 11, 14, 12, 10, 7, 10, 11, 11, 6, 9, 10, 10, 14,
+                            12, 8, 8, 8, 9, 8, 7, 10, 11, 4, 5, 5, 4, 9, 7, 8, 9, 6, 12, 4, 9, 7, 12,
+                            10, 10, 9, 8, 10, 8, 10, 9, 11, 8, 14, 7, 10, 9, 7, 10, 7, 8, 4, 8, 7, 6,
+                            10, 11
+                        ]
+                    },
+                    {
+                        name: 'B',
+                        description: 'users who experienced the feature',
+                        samples: [
+                            10, 11, 9, 10, 11, 13, 10, 11, 8, 9, 12, 11, 11, 9, 11, 11, 12, 7, 10, 6, 9,
+                            5, 9, 13, 4, 9, 12, 14, 8, 8, 9, 13, 11, 11, 16, 9, 9, 12, 10, 11, 8, 8, 10,
+                            10, 9, 10, 11, 11, 10, 12, 10, 7, 9, 12, 6, 12, 6, 9, 12, 12, 14, 10, 9, 8,
+                            8, 10, 12, 9, 10, 9, 10, 8, 18, 11, 12, 8, 9, 13, 13, 12, 13, 12, 12, 12, 7,
+                            10, 8, 12, 10, 5, 8, 8, 12, 12, 12, 12, 10, 12, 10, 13, 9, 9, 12, 11, 9, 12,
+                            10, 13, 9, 13, 10, 9, 10, 6, 6, 8, 11, 10, 11, 5, 11, 6, 9, 13, 7, 9, 8, 7,
+                            10, 8, 9, 9, 12, 8, 10, 11, 8, 11, 4, 11, 9, 9, 8, 11, 11, 14, 14, 6, 4, 11,
+                            10, 13, 8, 8, 14, 14, 14, 11, 12, 13, 10, 12, 11, 12, 9, 10, 11, 10, 7, 9,
+                            12, 8, 12, 10, 13, 8, 12, 12, 11, 10
+                        ]
+                    }
+                ]
+            }
+        },
+        {
+            title: 'My qualitative process',
+            sources: [
+                {
+                    table: 'typeform-survey.oct-2-2025-feedback-diagnostic-v1',
+                    description: 'I found this table linked to a Typeform that has been live since 2 October 2025'
+                }
+            ],
+            queries: [
+                {
+                    table: 'typeform-survey.oct-2-2025-feedback-diagnostic-v1',
+                    sql: 'SELECT\n' +
+                        '  response_id,\n' +
+                        '  submitted_at,\n' +
+                        '  email,\n' +
+                        '  customer_segment,\n' +
+                        '  nps_score,\n' +
+                        '  pain_point,\n' +
+                        '  feature_request,\n' +
+                        '  satisfaction_rating,\n' +
+                        '  completion_time_seconds\n' +
+                        'FROM\n' +
+                        '  `typeform-survey.oct-2-2025-feedback-diagnostic-v1`\n' +
+                        'WHERE\n' +
+                        "  submitted_at >= '2025-10-02'\n" +
+                        'ORDER BY\n' +
+                        '  submitted_at DESC;'
+                }
+            ],
+            notes: [
+                'I joined this table with the all users table on email addresses to understand the tenure ' +
+                'of a user and be able to segment the opinions'
+            ]
+        }
+    ],
+    citations: [
+        { id: '1', section: 0, query: 0 },
+        { id: '2', section: 0, statistics: true },
+        { id: '3', section: 1, source: 'typeform-survey.oct-2-2025-feedback-diagnostic-v1' }
+    ]
+};
 
 /**
- * Initializes application logic on load.
+ * Built-in adapter that answers every message with the scripted prototype reply.
+ *
+ * Adapters all share the same shape:
+ *   send({ message, history, signal }) -> Promise<{ content, format, provenance? }>
+ * where `format` is 'markdown' or 'html' (sanitized before it is shown, see sanitizeHtml),
+ * `provenance` describes how the answer was reached (see renderProvenance), and `signal`
+ * is an AbortSignal that fires when the user stops the reply.
+ *
+ * Adapters that can stream also implement:
+ *   stream({ message, history, signal }) -> async iterator of events:
+ *     { type: 'step', kind, label, durationMs }   an agent step started (tool, SQL query, summary...)
+ *     { type: 'delta', text }                     more markdown text of the reply
+ *     { type: 'reply', content, format, provenance }  the whole reply at once
+ *     { type: 'provenance', provenance }          how a streamed reply was reached
  */
-document.addEventListener('DOMContentLoaded', () => {
-    // Find the main elements we need
-    const chatInput = document.getElementById('chatInput');
-    const submitButton = document.getElementById('submitButton');
-    const pixelCharacter = document.getElementById('pixelCharacter');
+class DemoAgentAdapter {
+    async *stream(request) {
+        // Play out the scripted agent steps, each taking as long as it says (at the chosen motion speed)
+        if (request.history.length === 0) {
+            for (const step of DEMO_AGENT_STEPS) {
+                yield { type: 'step', ...step };
+                await sleep(motion.delay(step.durationMs), request.signal);
+            }
+        }
 
-    // Safety check: Make sure all required elements exist
-    if (!chatInput || !submitButton || !pixelCharacter) {
-        console.error('Required elements not found');
-        return;
+        yield { type: 'reply', ...(await this.send(request)) };
     }
 
-    // ========================================
-    // CHARACTER TRACKING SETUP
-    // ========================================
-    // Initialize the character tracker so it responds to cursor position
-    new CharacterTracker(pixelCharacter, chatInput);
+    async send({ history }) {
+        // Only the first question has a scripted answer
+        if (history.length > 0) {
+            return {
+                content: 'The demo only has a scripted answer for the first question. ' +
+                    'Connect an agent backend with `?adapter=http` to keep the conversation going.',
+                format: 'markdown'
+            };
+        }
 
-    // ========================================
+        const content = 'Since the launch of that feature, there has been a **3% increase in MRR** 📈[^1]. ' +
+            'It appears a major contributing trend has been an average increase of **1.3 months** in subscription duration 🗓️[^2].\n\n' +
+            'Reading user opinions 🗣️[^3]:\n\n' +
+            '- 👥 **Long-term users (>7 months)** have praised the diagnostic tool for enabling more trustable agents.\n' +
+            '- ⚡ **Power users** noted it allows them to create trusted agents for their clients.\n' +
+            '- 🛠️ **Technical users** appreciate the ability to debug and understand issues, setting Relevance AI apart from other builders.';
+
+        return { content, format: 'markdown', provenance: DEMO_PROVENANCE };
+    }
+}
+
+/**
+ * Adapter that sends messages to an agent backend over HTTP.
+ *
+ * Request:  POST endpoint  { message: string, history: [{ role: 'user'|'assistant', content: string }], stream?: boolean }
+ * Response: 200            { reply: string, provenance?: Object }  (markdown, see renderProvenance)
+ *
+ * When `stream` is true the backend may instead answer with Server-Sent Events or a chunked
+ * plain-text body. Events are JSON, one per `data:` line, and the stream ends with `data: [DONE]`:
+ *   {"type": "step", "kind": "sql_running", "label": "Running a SQL query...", "durationMs": 1200}
+ *   {"delta": "more of the reply"}
+ *   {"type": "provenance", "provenance": {"sections": [...]}}
+ */
+class HttpAgentAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - URL the chat request is POSTed to
+     * @param {Function} [options.getAuthHeaders] - Returns extra headers (e.g. Authorization)
+     */
+    constructor({ endpoint, getAuthHeaders = () => ({}) }) {
+        this.endpoint = endpoint;
+        this.getAuthHeaders = getAuthHeaders;
+    }
+
+    /**
+     * POST a request body to the backend and check the status
+     * @param {Object} body
+     * @param {string} accept - Value for the Accept header
+     * @param {AbortSignal} [signal] - Cancels the request (and the response body)
+     * @returns {Promise<Response>}
+     */
+    async post(body, accept, signal) {
+        const authHeaders = await this.getAuthHeaders();
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': accept,
+                ...authHeaders
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Agent backend responded with ${response.status}`);
+        }
+        return response;
+    }
+
+    async send({ message, history, signal }) {
+        const response = await this.post({ message, history }, 'application/json', signal);
+        const data = await response.json();
+        return { content: readReplyField(data), format: 'markdown', provenance: data.provenance || null };
+    }
+
+    async *stream({ message, history, signal }) {
+        const response = await this.post({ message, history, stream: true }, 'text/event-stream, text/plain, application/json', signal);
+        const contentType = response.headers.get('Content-Type') || '';
+
+        // The backend chose not to stream: the whole reply arrives at once
+        if (contentType.includes('application/json') || !response.body) {
+            const data = await response.json();
+            yield { type: 'reply', content: readReplyField(data), format: 'markdown', provenance: data.provenance || null };
+            return;
+        }
+
+        const reader = response.body.getReader();
+        try {
+            if (contentType.includes('text/event-stream')) {
+                yield* readServerSentEvents(reader);
+                return;
+            }
+
+            // Chunked plain text: every chunk is more of the reply
+            const decoder = new TextDecoder();
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                const text = decoder.decode(value, { stream: true });
+                if (text) yield { type: 'delta', text };
+            }
+        } finally {
+            reader.cancel().catch(() => { });
+        }
+    }
+}
+
+/**
+ * Pulls the reply text out of a backend JSON response.
+ * @param {Object} data
+ * @returns {string}
+ */
+function readReplyField(data) {
+    if (typeof data.reply !== 'string') {
+        throw new Error('Agent backend response is missing a "reply" string');
+    }
+    return data.reply;
+}
+
+/**
+ * Reads Server-Sent Events from a response body and yields them as agent events.
+ *
+ * Events look like `data: {"delta": "Hello"}` or `data: {"type": "step", ...}`, separated
+ * by blank lines. `data: [DONE]` ends the stream and `data: {"error": "..."}` aborts it.
+ *
+ * @param {ReadableStreamDefaultReader} reader
+ */
+async function* readServerSentEvents(reader) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+
+        // Process every complete event (events end with a blank line)
+        let eventEnd;
+        while ((eventEnd = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, eventEnd);
+            buffer = buffer.slice(eventEnd + 2);
+
+            const data = rawEvent
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).replace(/^ /, ''))
+                .join('\n');
+
+            if (!data) continue;
+            if (data === '[DONE]') return;
+
+            // Plain-text events are allowed too
+            let payload;
+            try {
+                payload = JSON.parse(data);
+            } catch (error) {
+                yield { type: 'delta', text: data };
+                continue;
+            }
+            if (payload && payload.error) {
+                throw new Error(`Agent backend stream error: ${payload.error}`);
+            }
+            if (payload && (payload.type === 'step' || payload.type === 'provenance')) {
+                yield payload;
+            } else if (payload && typeof payload.delta === 'string' && payload.delta) {
+                yield { type: 'delta', text: payload.delta };
+            }
+        }
+    }
+}
+
+/**
+ * Creates the adapter selected in the config (URL parameters take priority).
+ * @param {Object} config - See AGENT_CONFIG
+ */
+function createAgentAdapter(config) {
+    const params = new URLSearchParams(window.location.search);
+    const adapterName = params.get('adapter') || config.adapter;
+    const endpoint = params.get('endpoint') || config.endpoint;
+
+    if (adapterName === 'http') {
+        return new HttpAgentAdapter({ endpoint, getAuthHeaders: config.getAuthHeaders });
+    }
+    if (adapterName !== 'demo') {
+        console.warn(`Unknown agent adapter "${adapterName}", falling back to demo`);
+    }
+    return new DemoAgentAdapter();
+}
+
+/**
+ * Asks an adapter for a reply and yields it as a stream of agent events,
+ * whether or not the adapter can stream (see DemoAgentAdapter for the event types).
+ * @param {Object} adapter
+ * @param {Object} request - { message, history, signal }
+ */
+async function* streamAgentEvents(adapter, request) {
+    if (typeof adapter.stream !== 'function') {
+        yield { type: 'reply', ...(await adapter.send(request)) };
+        return;
+    }
+
+    for await (const event of adapter.stream(request)) {
+        // Plain strings are treated as more reply text
+        yield typeof event === 'string' ? { type: 'delta', text: event } : event;
+    }
+}
+
+// Bubble text for steps that arrive without a label
+const STEP_LABELS = {
+    thinking: 'Thinking...',
+    tool_started: 'Using a tool...',
+    sql_running: 'Running a SQL query...',
+    rows_returned: 'Reading the results...',
+    summarising: 'Summarising what I found...'
+};
+
+/**
+ * Text to show for an agent step.
+ * @param {Object} step - A 'step' event
+ * @returns {string}
+ */
+function describeStep(step) {
+    if (step.label) return step.label;
+    if (step.kind === 'rows_returned' && typeof step.rows === 'number') {
+        return `Got ${step.rows.toLocaleString()} rows back`;
+    }
+    return STEP_LABELS[step.kind] || 'Working...';
+}
+
+/**
+ * Formats a duration like "1.2s".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    return `${(Math.max(0, ms) / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Builds the collapsible list of steps the agent took for an answer.
+ * @param {Array<{kind: string, label: string, durationMs: number}>} steps
+ * @returns {string} HTML (empty when there are no steps)
+ */
+function renderStepTimeline(steps) {
+    if (!steps || steps.length === 0) return '';
+
+    const totalMs = steps.reduce((total, step) => total + (step.durationMs || 0), 0);
+    const items = steps.map(step => `
+        <li class="step-timeline-item step-${String(step.kind).replace(/[^a-z_]/gi, '')}">
+            <span class="step-timeline-label">${escapeHtml(step.label.replace(/(\.\.\.|…)$/, ''))}</span>
+            <span class="step-timeline-duration">${formatDuration(step.durationMs || 0)}</span>
+        </li>`).join('');
+
+    return `<details class="step-timeline">
+        <summary>${steps.length} step${steps.length === 1 ? '' : 's'} · ${formatDuration(totalMs)}</summary>
+        <ol>${items}</ol>
+    </details>`;
+}
+
+/**
+ * Builds the note shown under a reply the user stopped.
+ * @param {boolean} hasContent - Whether any of the reply arrived before it was stopped
+ * @returns {string} HTML
+ */
+function renderStoppedMarker(hasContent) {
+    const text = hasContent ? 'Stopped before the reply was finished' : 'Stopped before a reply arrived';
+    return `<p class="message-stopped">${text}</p>`;
+}
+
+/**
+ * Shows agent steps in the thought bubble, one at a time.
+ *
+ * Each step is typed out and stays up until the next one arrives. If steps arrive
+ * faster than they can be typed, the current one is finished instantly and the
+ * bubble skips ahead to the newest step; slow steps simply stay on screen.
+ */
+class ThoughtBubble {
+    /**
+     * @param {HTMLElement} bubbleElement - The #thoughtBubble element
+     * @param {AbortSignal} [signal] - Stops the bubble where it is (the reply was stopped)
+     */
+    constructor(bubbleElement, signal) {
+        this.signal = signal;
+        this.content = bubbleElement.querySelector('.thought-bubble-content');
+        this.status = document.getElementById('agentStatus'); // Announces each step to screen readers
+        this.typeWriter = new TypeWriter(this.content);
+        this.queue = [];         // Step labels waiting to be shown
+        this.current = null;     // Label currently in the bubble
+        this.shownAt = 0;        // When the current label finished typing
+        this.finished = false;   // No more steps are coming
+        this.stopped = false;    // The user stopped the reply
+        this.wake = null;        // Wakes the show loop when something happens
+        this.MIN_DISPLAY_TIME = 1200; // The last step stays up at least this long before the bubble leaves
+        this.showing = this.showSteps().catch(error => {
+            if (error.name !== 'AbortError') throw error;
+        });
+    }
+
+    /**
+     * Queue a step label to show
+     * @param {string} label
+     */
+    show(label) {
+        if (this.finished || label === this.current || label === this.queue[this.queue.length - 1]) return;
+
+        this.queue.push(label);
+        this.typeWriter.stop(); // Hurry up whatever is being typed
+        if (this.wake) this.wake();
+    }
+
+    /**
+     * Show queued steps until finish() is called
+     */
+    async showSteps() {
+        while (true) {
+            if (this.queue.length === 0) {
+                if (this.finished) return;
+                await new Promise(resolve => { this.wake = resolve; });
+                this.wake = null;
+                continue;
+            }
+
+            // If several steps piled up, skip to the newest one
+            const label = this.queue.splice(0).pop();
+
+            if (this.typeWriter.text) {
+                await this.typeWriter.delete(15, this.signal);
+            }
+            if (this.stopped) return;
+            this.current = label;
+            if (this.status) this.status.textContent = label;
+            await this.typeWriter.type(label, 40, this.signal);
+            if (this.stopped) return;
+
+            // Typing may have been cut short by a newer step: show the full label anyway
+            this.typeWriter.text = label;
+            this.content.textContent = label;
+            this.shownAt = performance.now();
+
+            // Give every step a moment on screen, even if the next is already waiting
+            if (this.queue.length > 0) {
+                await sleep(motion.delay(300), this.signal);
+            }
+        }
+    }
+
+    /**
+     * Finish showing steps (the answer has started arriving)
+     * Resolves once the last step has been on screen long enough to read.
+     */
+    async finish() {
+        this.finished = true;
+        if (this.wake) this.wake();
+        await this.showing;
+
+        const remaining = motion.delay(this.MIN_DISPLAY_TIME) - (performance.now() - this.shownAt);
+        if (remaining > 0) {
+            await sleep(remaining, this.signal);
+        }
+    }
+
+    /**
+     * Stop straight away, leaving the bubble as it is (the reply was stopped)
+     */
+    stop() {
+        this.stopped = true;
+        this.finished = true;
+        this.queue = [];
+        this.typeWriter.stop();
+        if (this.wake) this.wake();
+    }
+}
+
+/**
+ * Turns an adapter reply into HTML that can be shown in a message.
+ * HTML replies are sanitized (see sanitizeHtml); markdown is rendered safely.
+ * @param {{content: string, format: 'html'|'markdown'}} reply
+ * @returns {string}
+ */
+function replyToHtml(reply) {
+    if (reply.format === 'html') {
+        return sanitizeHtml(reply.content);
+    }
+    return renderMarkdown(reply.content);
+}
+
+// Tags allowed in message HTML, with the attributes each may keep (any tag may keep `class`, see SANITIZER_ALLOWED_CLASSES)
+const SANITIZER_ALLOWED_TAGS = {
+    p: [], br: [], hr: [], strong: [], b: [], em: [], i: [], code: [], pre: [], span: [], blockquote: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    ul: [], ol: ['start'], li: [],
+    table: [], thead: [], tbody: [], tr: [], th: ['scope'], td: [],
+    a: ['href', 'title'],
+    div: [], sup: []
+};
+
+// Classes message HTML may keep: the renderer's styling classes, and `language-*` on code.
+// Any other class is dropped, so a reply can't dress itself up as the app's own UI.
+const SANITIZER_ALLOWED_CLASSES = new Set([
+    'emoji-list', 'message-table', 'align-left', 'align-center', 'align-right', 'message-code'
+]);
+
+// Markup for citation markers and charts, which only renderMarkdown may add (see sanitizeHtml's
+// `fromRenderer`), so raw HTML in a reply can't forge them
+const SANITIZER_RENDERER_ATTRIBUTES = {
+    div: ['data-chart'],
+    sup: ['data-citation', 'tabindex', 'role', 'aria-label']
+};
+const SANITIZER_RENDERER_CLASSES = new Set(['message-chart', 'message-chart-pending', 'citation']);
+
+// Tags removed along with everything inside them; other unknown tags are replaced by their contents
+const SANITIZER_DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'form', 'textarea', 'select', 'head', 'title']);
+
+// Link schemes that are safe to follow. Links without a scheme (relative, #anchor) are allowed too.
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+/**
+ * Whether a URL is safe to put in a link (no javascript:, data: and the like)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSafeUrl(url) {
+    // Browsers ignore control characters and spaces inside a scheme ("java\tscript:")
+    const scheme = String(url).replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Cleans HTML down to the tags and attributes in SANITIZER_ALLOWED_TAGS.
+ *
+ * The HTML is parsed into an inert template, so nothing in it runs or loads while it
+ * is cleaned. Event handlers, inline styles, unsafe links and the app's own classes are
+ * removed, and links open in a new tab.
+ *
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {boolean} [options.fromRenderer] - The HTML was made by renderMarkdown, so its
+ *   citation markers and charts are kept
+ * @returns {string}
+ */
+function sanitizeHtml(html, { fromRenderer = false } = {}) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    function clean(parent) {
+        [...parent.childNodes].forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            if (SANITIZER_DROPPED_TAGS.has(tag)) {
+                node.remove();
+                return;
+            }
+
+            clean(node);
+            if (!SANITIZER_ALLOWED_TAGS[tag]) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            const allowedAttributes = SANITIZER_ALLOWED_TAGS[tag]
+                .concat(fromRenderer ? SANITIZER_RENDERER_ATTRIBUTES[tag] || [] : []);
+            [...node.attributes].forEach(({ name }) => {
+                if (name !== 'class' && !allowedAttributes.includes(name)) node.removeAttribute(name);
+            });
+            const classes = [...node.classList].filter(name => SANITIZER_ALLOWED_CLASSES.has(name) ||
+                (fromRenderer && SANITIZER_RENDERER_CLASSES.has(name)) || /^language-[\w-]+$/.test(name));
+            if (classes.length > 0) {
+                node.setAttribute('class', classes.join(' '));
+            } else {
+                node.removeAttribute('class');
+            }
+            if (tag === 'a') {
+                if (node.hasAttribute('href') && !isSafeUrl(node.getAttribute('href'))) {
+                    node.removeAttribute('href');
+                }
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    }
+
+    clean(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Renders a subset of markdown to HTML.
+ *
+ * All text is escaped before any formatting is applied, so replies can never inject tags,
+ * and links are only kept for safe URLs (see isSafeUrl). The result is sanitized as well. Supports paragraphs, line breaks,
+ * # headings, **bold**, *italic*, `code`, [links](https://...), [^1] citations (see
+ * renderCitationMarker), ``` code blocks (```chart
+ * blocks draw a chart, see renderCodeBlock), - bullet and 1. numbered lists, and | tables |.
+ * Lists whose items all start with an emoji use the emoji as their bullets.
+ *
+ * @param {string} markdown
+ * @param {boolean} [partial] - True while the text is still streaming in. Unclosed code blocks
+ *   and inline markers are closed for display, so half-written text doesn't jump around.
+ * @returns {string}
+ */
+function renderMarkdown(markdown, partial = false) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];   // Lines of the paragraph being collected
+    let list = null;      // The list being collected: { ordered, start, items }
+    let codeLines = null; // Lines of the code block being collected
+    let codeLanguage = '';  // Language named after its opening fence
+
+    function flushParagraph() {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(line => renderInlineMarkdown(line, partial)).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    }
+
+    function flushList() {
+        if (list) {
+            const tag = list.ordered ? 'ol' : 'ul';
+            const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+            const emoji = list.items.every(item => /^\p{Extended_Pictographic}/u.test(item)) ? ' class="emoji-list"' : '';
+            const items = list.items.map(item => `<li>${renderInlineMarkdown(item, partial)}</li>`).join('');
+            html.push(`<${tag}${start}${emoji}>${items}</${tag}>`);
+            list = null;
+        }
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Inside a code block everything is literal until the closing fence
+        if (codeLines) {
+            if (/^\s*```/.test(line)) {
+                html.push(renderCodeBlock(codeLines.join('\n'), codeLanguage));
+                codeLines = null;
+            } else {
+                codeLines.push(line);
+            }
+            continue;
+        }
+
+        const fence = line.match(/^\s*```\s*(\w*)/);
+        if (fence) {
+            flushParagraph();
+            flushList();
+            codeLines = [];
+            codeLanguage = fence[1].toLowerCase();
+            continue;
+        }
+
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+        if (heading) {
+            flushParagraph();
+            flushList();
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInlineMarkdown(heading[2], partial)}</h${level}>`);
+            continue;
+        }
+
+        // A table starts with a header row followed by a separator row like |---|:--:|
+        if (isMarkdownTableRow(line) && i + 1 < lines.length && MARKDOWN_TABLE_SEPARATOR.test(lines[i + 1])) {
+            flushParagraph();
+            flushList();
+            const rows = [line, lines[i + 1]];
+            i += 2;
+            while (i < lines.length && isMarkdownTableRow(lines[i])) {
+                rows.push(lines[i]);
+                i++;
+            }
+            i--;
+            html.push(renderMarkdownTable(rows, partial));
+            continue;
+        }
+
+        const item = line.match(/^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/);
+        if (item) {
+            flushParagraph();
+            const ordered = item[2] !== undefined;
+            if (list && list.ordered !== ordered) flushList();
+            list = list || { ordered, start: ordered ? Number(item[2]) : 1, items: [] };
+            list.items.push(item[3]);
+            continue;
+        }
+
+        if (line.trim() === '') {
+            flushParagraph();
+            flushList();
+            continue;
+        }
+
+        flushList();
+        paragraph.push(line);
+    }
+
+    flushParagraph();
+    flushList();
+
+    // A code block that was never closed (usually because it is still streaming)
+    if (codeLines) {
+        html.push(codeLanguage === 'chart'
+            ? '<div class="message-chart message-chart-pending"></div>'
+            : renderCodeBlock(codeLines.join('\n'), codeLanguage));
+    }
+
+    return sanitizeHtml(html.join(''), { fromRenderer: true });
+}
+
+// The row under a table's header, e.g. |---|:---:|---:|
+const MARKDOWN_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$|^\s*\|\s*:?-+:?\s*\|\s*$/;
+
+/**
+ * Whether a line can be a table row (it has at least one | between cells)
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isMarkdownTableRow(line) {
+    return line.trim() !== '' && /(^|[^\\])\|/.test(line);
+}
+
+/**
+ * Splits a table row into its cells, dropping the outer pipes. \| is a literal pipe.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitMarkdownTableRow(line) {
+    return line.trim()
+        .replace(/\\\|/g, '\u0001')
+        .replace(/^\||\|$/g, '')
+        .split('|')
+        .map(cell => cell.replace(/\u0001/g, '|').trim());
+}
+
+/**
+ * Renders a markdown table. The separator row's colons set each column's alignment.
+ * @param {string[]} lines - Header row, separator row, then body rows
+ * @param {boolean} [partial] - See renderMarkdown
+ * @returns {string}
+ */
+function renderMarkdownTable(lines, partial = false) {
+    const [header, separator, ...body] = lines.map(splitMarkdownTableRow);
+    const alignments = separator.map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+    });
+
+    const renderRow = (cells, tag) => '<tr>' + header.map((_, index) => {
+        const alignment = alignments[index] ? ` class="align-${alignments[index]}"` : '';
+        return `<${tag}${alignment}>${renderInlineMarkdown(cells[index] || '', partial)}</${tag}>`;
+    }).join('') + '</tr>';
+
+    return '<div class="message-table"><table>' +
+        `<thead>${renderRow(header, 'th')}</thead>` +
+        (body.length > 0 ? `<tbody>${body.map(cells => renderRow(cells, 'td')).join('')}</tbody>` : '') +
+        '</table></div>';
+}
+
+/**
+ * Renders a fenced code block. ```chart blocks hold chart options as JSON
+ * (see Chart) and become a placeholder that mountMessageCharts draws into.
+ * @param {string} code
+ * @param {string} language - Named after the opening fence, if any
+ * @returns {string}
+ */
+function renderCodeBlock(code, language) {
+    if (language === 'chart') {
+        return `<div class="message-chart" data-chart="${escapeHtml(code)}"></div>`;
+    }
+    return `<pre class="message-code"><code>${escapeHtml(code)}</code></pre>`;
+}
+
+/**
+ * Renders inline markdown (code, citations, links, bold, italic) for a single line.
+ * @param {string} text
+ * @param {boolean} [partial] - Close unfinished markers (see renderMarkdown)
+ * @returns {string}
+ */
+function renderInlineMarkdown(text, partial = false) {
+    text = text.replace(/\u0000/g, '');
+    if (partial) {
+        // Close an unfinished `code` span or **bold** so it renders styled straight away
+        if ((text.match(/`/g) || []).length % 2 === 1) text += '`';
+        if ((text.match(/\*\*/g) || []).length % 2 === 1) text += '**';
+    }
+
+    // Pull code spans and link tags out first, so code isn't formatted and URLs aren't escaped twice
+    const held = [];
+    const hold = html => {
+        held.push(html);
+        return `\u0000${held.length - 1}\u0000`;
+    };
+    let html = text
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\[\^([\w-]+)\]/g, (match, id) => hold(renderCitationMarker(id)))
+        .replace(/\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => {
+            if (!isSafeUrl(url)) return label;
+            const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+            return hold(`<a href="${escapeHtml(url)}"${titleAttribute} target="_blank" rel="noopener noreferrer">`) + label + hold('</a>');
+        });
+
+    html = escapeHtml(html)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s](?:[^*]*[^*\s])?)\*/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+}
+
+/**
+ * Renders a [^1] citation marker. It points at the evidence listed under the same
+ * id in the answer's provenance citations (see renderProvenance).
+ * @param {string} id
+ * @returns {string}
+ */
+function renderCitationMarker(id) {
+    const label = escapeHtml(id);
+    return `<sup class="citation" data-citation="${label}" tabindex="0" role="button" aria-label="Source ${label}">[${label}]</sup>`;
+}
+
+/**
+ * Finds where the finished part of a streaming markdown text ends.
+ *
+ * Everything before the last blank line (outside a code block) is complete
+ * and won't change as more text arrives.
+ *
+ * @param {string} markdown
+ * @returns {number} Character index just after the last complete block
+ */
+function findStableMarkdownBoundary(markdown) {
+    let boundary = 0;
+    let inCodeBlock = false;
+    let position = 0;
+
+    markdown.split('\n').forEach((line, index, lines) => {
+        const lineEnd = position + line.length + 1;
+        if (/^\s*```/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+        } else if (!inCodeBlock && line.trim() === '' && index < lines.length - 1) {
+            boundary = lineEnd;
+        }
+        position = lineEnd;
+    });
+
+    return boundary;
+}
+
+/**
+ * An AI message that is filled in chunk by chunk while a reply streams in.
+ *
+ * Finished blocks (paragraphs, lists, code blocks) are rendered once and left alone.
+ * Only the block currently being written is re-rendered, so the text doesn't
+ * flicker and selecting text in earlier paragraphs keeps working.
+ */
+class StreamingMessage {
+    /**
+     * @param {string} avatar - Avatar image for the message
+     * @param {string} turnId - Id of the conversation turn this message shows
+     * @param {Array} steps - Agent steps taken so far, shown above the reply
+     */
+    constructor(avatar, turnId, steps = []) {
+        this.text = '';              // Everything received so far
+        this.renderedLength = 0;     // How much of the text is already in the finished blocks
+        this.renderScheduled = false;
+        this.finalized = false;
+        this.container = document.getElementById('chatMessages');
+
+        this.turnId = turnId;
+        this.element = addMessage('ai', '', avatar, false);
+        this.element.dataset.turnId = turnId;
+        this.element.classList.add('streaming');
+        // Screen readers wait for the whole reply rather than reading every chunk
+        this.element.setAttribute('aria-busy', 'true');
+
+        const content = this.element.querySelector('.message-content');
+        this.timeline = document.createElement('div');
+        this.stableBlocks = document.createElement('div');
+        this.tailBlock = document.createElement('div');
+        this.tailBlock.className = 'message-stream-tail';
+        content.append(this.timeline, this.stableBlocks, this.tailBlock);
+        this.setSteps(steps);
+    }
+
+    /**
+     * Update the step timeline shown above the reply
+     * @param {Array} steps
+     */
+    setSteps(steps) {
+        this.timeline.innerHTML = renderStepTimeline(steps);
+    }
+
+    /**
+     * Add more text to the message
+     * @param {string} chunk
+     */
+    append(chunk) {
+        this.text += chunk;
+
+        // Render at most once per frame, however fast chunks arrive
+        if (!this.renderScheduled) {
+            this.renderScheduled = true;
+            requestAnimationFrame(() => {
+                this.renderScheduled = false;
+                if (!this.finalized) this.render(true);
+            });
+        }
+    }
+
+    /**
+     * Render new text into the message
+     * @param {boolean} partial - Whether more text may still arrive
+     */
+    render(partial) {
+        // Only follow the new text if the user hasn't scrolled up to read something
+        const shouldFollow = this.isScrolledToBottom();
+
+        const boundary = partial ? findStableMarkdownBoundary(this.text) : this.text.length;
+        if (boundary > this.renderedLength) {
+            this.stableBlocks.insertAdjacentHTML('beforeend', renderMarkdown(this.text.slice(this.renderedLength, boundary)));
+            this.renderedLength = boundary;
+        }
+        this.tailBlock.innerHTML = renderMarkdown(this.text.slice(this.renderedLength), partial);
+        mountMessageCharts(this.stableBlocks);
+        mountMessageCharts(this.tailBlock);
+
+        if (shouldFollow) {
+            this.container.scrollTop = this.container.scrollHeight;
+        }
+    }
+
+    /**
+     * Whether the chat is scrolled to (or very near) the bottom
+     */
+    isScrolledToBottom() {
+        const { scrollHeight, scrollTop, clientHeight } = this.container;
+        return scrollHeight - scrollTop - clientHeight < 48;
+    }
+
+    /**
+     * Render the complete reply and add the "Verify truth" button
+     * @param {boolean} [stopped] - The user stopped the reply, so it's only what arrived
+     */
+    finalize(stopped = false) {
+        this.finalized = true;
+        const shouldFollow = this.isScrolledToBottom();
+
+        this.render(false);
+        if (stopped) {
+            this.element.querySelector('.message-content').insertAdjacentHTML('beforeend', renderStoppedMarker(Boolean(this.text)));
+        }
+        this.element.classList.remove('streaming');
+        this.element.setAttribute('aria-busy', 'false');
+        addVerifyButton(this.turnId);
+
+        if (shouldFollow) {
+            this.container.scrollTop = this.container.scrollHeight;
+        }
+    }
+}
+
+/**
+ * Streams a reply into a new AI message.
+ * @param {AsyncIterator<Object>} events - The agent's event stream
+ * @param {Object} firstDelta - The first 'delta' event, already read from the stream
+ * @param {string} turnId - Id the reply will have in the conversation
+ * @param {StepRecorder} stepRecorder - Steps so far; steps that arrive mid-reply are added
+ * @param {AbortSignal} signal - Stops the reply where it is
+ * @returns {Promise<{content: string, format: 'markdown', provenance: Object, stopped: boolean}>} The reply
+ */
+async function streamReplyIntoChat(events, firstDelta, turnId, stepRecorder, signal) {
+    const streamingMessage = new StreamingMessage(character.avatar, turnId, stepRecorder.steps);
+    streamingMessage.append(firstDelta.text);
+    let provenance = null;
+    let stopped = false;
+
+    try {
+        // Read events by hand, so a stop doesn't wait for an adapter that ignores the signal
+        while (true) {
+            const { done, value: event } = await untilAborted(events.next(), signal);
+            if (done) break;
+
+            if (event.type === 'delta') {
+                streamingMessage.append(event.text);
+            } else if (event.type === 'step') {
+                stepRecorder.add(event);
+                streamingMessage.setSteps(stepRecorder.steps);
+            } else if (event.type === 'provenance') {
+                provenance = event.provenance;
+            }
+        }
+    } catch (error) {
+        if (signal.aborted) {
+            stopped = true;
+            events.return().catch(() => { });
+        } else {
+            console.error('Agent backend stream failed:', error);
+            streamingMessage.append('\n\n*The reply was interrupted.*');
+        }
+    }
+
+    stepRecorder.end();
+    streamingMessage.setSteps(stepRecorder.steps);
+    streamingMessage.finalize(stopped);
+    return { content: streamingMessage.text, format: 'markdown', provenance, stopped };
+}
+
+/**
+ * Keeps the list of agent steps for an answer, with how long each took.
+ *
+ * Steps that report their own `durationMs` keep it; otherwise a step lasts
+ * until the next one starts (or the answer arrives).
+ */
+class StepRecorder {
+    constructor() {
+        this.steps = [];     // [{ kind, label, durationMs }]
+        this.lastStart = 0;  // When the latest step started
+    }
+
+    /**
+     * Record a step event
+     * @param {Object} event
+     */
+    add(event) {
+        this.end();
+        this.steps.push({
+            kind: event.kind || 'thinking',
+            label: describeStep(event),
+            durationMs: typeof event.durationMs === 'number' ? event.durationMs : null
+        });
+        this.lastStart = performance.now();
+    }
+
+    /**
+     * Close off the latest step's duration
+     */
+    end() {
+        const last = this.steps[this.steps.length - 1];
+        if (last && last.durationMs === null) {
+            last.durationMs = Math.round(performance.now() - this.lastStart);
+        }
+    }
+}
+
+/**
+ * Creates a short unique id for conversations and turns.
+ * @returns {string}
+ */
+function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * A chat conversation: an ordered list of user and AI turns.
+ */
+class Conversation {
+    /**
+     * @param {Object} [data] - A stored conversation record (see toRecord)
+     */
+    constructor({ id = createId(), createdAt = Date.now(), updatedAt = createdAt, turns = [], readOnly = false } = {}) {
+        this.id = id;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        this.turns = turns; // [{ id, role: 'user'|'ai', content, format, createdAt, provenance, steps, stopped }]
+        this.readOnly = readOnly; // Imported to read, not to continue
+    }
+
+    /**
+     * Title shown in the sidebar: the start of the first question
+     */
+    get title() {
+        const firstQuestion = this.turns.find(turn => turn.role === 'user');
+        if (!firstQuestion) return 'New chat';
+        const text = firstQuestion.content.replace(/\s+/g, ' ').trim();
+        return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    }
+
+    /**
+     * Add a turn to the end of the conversation
+     * @param {Object} turn
+     * @param {'user'|'ai'} turn.role
+     * @param {string} turn.content
+     * @param {'html'|'markdown'|'text'} turn.format - How the content should be rendered
+     * @param {Object} [turn.provenance] - Where an AI answer came from (shown by "Verify truth")
+     * @param {Array} [turn.steps] - Agent steps taken for an AI answer
+     * @param {boolean} [turn.stopped] - The user stopped the AI answer before it was finished
+     * @param {string} [turn.id] - Id for the turn, if the message is already on screen
+     * @returns {Object} The new turn
+     */
+    addTurn({ role, content, format, provenance = null, steps = [], stopped = false, id = createId() }) {
+        const turn = { id, role, content, format, createdAt: Date.now(), provenance, steps, stopped };
+        this.turns.push(turn);
+        this.updatedAt = turn.createdAt;
+        return turn;
+    }
+
+    /**
+     * The previous turns in the shape agent backends expect
+     * (replies stopped before any of them arrived are left out)
+     * @returns {Array<{role: 'user'|'assistant', content: string}>}
+     */
+    toHistory() {
+        return this.turns
+            .filter(turn => turn.content)
+            .map(turn => ({
+                role: turn.role === 'ai' ? 'assistant' : 'user',
+                content: turn.content
+            }));
+    }
+
+    /**
+     * Find a turn by id
+     * @param {string} turnId
+     */
+    getTurn(turnId) {
+        return this.turns.find(turn => turn.id === turnId);
+    }
+
+    /**
+     * The most recent AI answer, if any
+     */
+    getLastAiTurn() {
+        return this.turns.filter(turn => turn.role === 'ai').pop();
+    }
+
+    /**
+     * Plain object version of the conversation for storage
+     */
+    toRecord() {
+        return {
+            id: this.id,
+            title: this.title,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            turns: this.turns,
+            readOnly: this.readOnly
+        };
+    }
+}
+
+/**
+ * Saves conversations in IndexedDB so they survive page reloads.
+ *
+ * Falls back to keeping them in memory when IndexedDB isn't available
+ * (e.g. some private browsing modes), so the chat still works.
+ */
+class ChatStore {
+    constructor(dbName = 'datasage', storeName = 'conversations') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+        this.memory = new Map(); // Fallback storage
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase|null>} null when IndexedDB can't be used
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                console.warn('Chats will not be saved between visits:', error);
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the conversations store
+     * @param {'readonly'|'readwrite'} mode
+     * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * All conversations, most recently updated first
+     * @returns {Promise<Object[]>}
+     */
+    async getAll() {
+        const db = await this.open();
+        const records = db
+            ? await this.run('readonly', store => store.getAll())
+            : Array.from(this.memory.values());
+        return records.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    async get(id) {
+        const db = await this.open();
+        return db ? this.run('readonly', store => store.get(id)) : this.memory.get(id);
+    }
+
+    /**
+     * Save (insert or update) a conversation
+     * @param {Conversation} conversation
+     */
+    async put(conversation) {
+        const record = conversation.toRecord();
+        const db = await this.open();
+        if (db) {
+            await this.run('readwrite', store => store.put(record));
+        } else {
+            this.memory.set(record.id, record);
+        }
+    }
+}
+
+const chatStore = new ChatStore();
+
+// The conversation currently shown in the chat
+let activeConversation = new Conversation();
+
+/**
+ * Save the active conversation and refresh the sidebar list.
+ */
+async function saveActiveConversation() {
+    updateChatToolbar();
+    try {
+        await chatStore.put(activeConversation);
+    } catch (error) {
+        console.error('Could not save conversation:', error);
+    }
+    renderChatHistory();
+}
+
+/**
+ * Shows a conversation in the chat area, replacing whatever was there.
+ *
+ * Empty conversations bring back the intro text and the character.
+ * Chats imported read-only lock the input.
+ *
+ * @param {Conversation} conversation
+ */
+function renderConversation(conversation) {
+    const chatMessages = document.getElementById('chatMessages');
+    const introText = document.getElementById('introText');
+    const characterWrapper = document.querySelector('.character-wrapper');
+    const thoughtBubble = document.getElementById('thoughtBubble');
+    const chatInput = document.getElementById('chatInput');
+
+    // Opening a chat shouldn't read out its whole history
+    chatMessages.setAttribute('aria-live', 'off');
+    chatMessages.innerHTML = '';
+    conversation.turns.forEach(turn => {
+        if (turn.role === 'user') {
+            addMessage('user', turn.content, null, false).dataset.turnId = turn.id;
+        } else {
+            let html = renderStepTimeline(turn.steps) + replyToHtml(turn);
+            if (turn.stopped) html += renderStoppedMarker(Boolean(turn.content));
+            addMessage('ai', html, character.avatar, false).dataset.turnId = turn.id;
+            addVerifyButton(turn.id);
+            showVerifyBadge(turn);
+        }
+    });
+
+    const isEmpty = conversation.turns.length === 0;
+
+    // Intro text is only shown before the first question
+    if (introText) {
+        if (isEmpty) {
+            introText.textContent = introText.dataset.text || introText.textContent;
+        }
+        introText.style.display = isEmpty ? '' : 'none';
+    }
+
+    // The character waits above the input for the first question,
+    // and comes back on its own for follow-ups
+    characterWrapper.classList.remove('character-slide-down', 'character-slide-up');
+    characterWrapper.classList.toggle('hidden', !isEmpty);
+    thoughtBubble.classList.remove('bubble-float-up');
+    thoughtBubble.style.display = 'none';
+
+    // Lets the submit button state catch up (see updateSubmitButton)
+    chatInput.dispatchEvent(new Event('chatchange'));
+    updateChatToolbar();
+
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    setTimeout(() => chatMessages.setAttribute('aria-live', 'polite'));
+}
+
+/**
+ * Loads a saved conversation and shows it.
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether that conversation is now showing
+ */
+async function openConversation(id) {
+    if (id === activeConversation.id) return true;
+
+    // Don't switch chats halfway through a reply
+    if (replyInProgress) return false;
+
+    const record = await chatStore.get(id);
+    if (!record) {
+        console.warn(`Conversation ${id} not found`);
+        return false;
+    }
+
+    activeConversation = new Conversation(record);
+    renderConversation(activeConversation);
+    return true;
+}
+
+/**
+ * Starts a fresh, empty conversation.
+ * It's only saved once the first message is sent.
+ * @returns {boolean} Whether the new conversation is showing
+ */
+function startNewConversation() {
+    if (replyInProgress) return false;
+
+    activeConversation = new Conversation();
+    renderConversation(activeConversation);
+    document.getElementById('chatInput').focus();
+    return true;
+}
+
+/**
+ * The route for a conversation (new, unsaved chats live at the root)
+ * @param {Conversation} conversation
+ * @returns {string}
+ */
+function getConversationPath(conversation) {
+    return conversation.turns.length > 0 ? `/chat/${encodeURIComponent(conversation.id)}` : '/';
+}
+
+// Identifies chat exports, so imports can tell them apart from other JSON
+const CHAT_EXPORT_FORMAT = 'datasage-chat';
+const CHAT_EXPORT_VERSION = 1;
+
+// Largest chat export that will be imported, in bytes
+const CHAT_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+/**
+ * A file name for an exported chat, from its title
+ * @param {Conversation} conversation
+ * @param {string} extension
+ * @returns {string}
+ */
+function getExportFilename(conversation, extension) {
+    const slug = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50);
+    return `datasage-${slug || 'chat'}.${extension}`;
+}
+
+/**
+ * The whole chat as JSON: messages, agent steps and provenance (queries, statistics
+ * and their samples). Charts travel inside the messages as ```chart blocks.
+ * @param {Conversation} conversation
+ * @returns {string}
+ */
+function conversationToJson(conversation) {
+    const { readOnly, ...record } = conversation.toRecord();
+    return JSON.stringify({
+        format: CHAT_EXPORT_FORMAT,
+        version: CHAT_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversation: record
+    }, null, 2);
+}
+
+/**
+ * The chat as a Markdown document. Each answer is followed by its steps and
+ * how it was reached: sources, SQL, notes and the statistics' results.
+ * @param {Conversation} conversation
+ * @returns {string}
+ */
+function conversationToMarkdown(conversation) {
+    const lines = [`# ${conversation.title}`, '', `*Exported from DataSage on ${new Date().toLocaleString()}*`, ''];
+
+    conversation.turns.forEach(turn => {
+        if (turn.role === 'user') {
+            lines.push('## You', '', turn.content, '');
+            return;
+        }
+
+        lines.push('## DataSage', '');
+        if (turn.steps && turn.steps.length > 0) {
+            turn.steps.forEach(step => {
+                lines.push(`- *${step.label.replace(/(\.\.\.|…)$/, '')}* (${formatDuration(step.durationMs || 0)})`);
+            });
+            lines.push('');
+        }
+        lines.push(turn.format === 'html' ? getTurnText(turn) : turn.content, '');
+        if (turn.stopped) lines.push('*(Stopped before the reply was finished)*', '');
+
+        // [^1] markers become footnotes naming their evidence
+        const citations = turn.provenance && Array.isArray(turn.provenance.citations) ? turn.provenance.citations : [];
+        citations.forEach(({ id }) => {
+            const citation = findCitation(turn.provenance, id);
+            if (citation) lines.push(`[^${id}]: ${describeCitation(turn.provenance, citation)}`);
+        });
+        if (citations.length > 0) lines.push('');
+
+        const sections = turn.provenance && Array.isArray(turn.provenance.sections) ? turn.provenance.sections : [];
+        sections.forEach(section => {
+            lines.push(`### ${section.title || 'My process'}`, '');
+            (section.sources || []).forEach(source => {
+                lines.push(`${source.description || 'I queried the table'}: \`${source.table}\``, '');
+            });
+            (section.queries || []).forEach(query => {
+                lines.push('```sql', formatSql(query.sql), '```', '');
+            });
+            (section.notes || []).forEach(note => lines.push(note, ''));
+            if (section.statistics) {
+                try {
+                    lines.push(describeStatistics(section.statistics).join(' '), '');
+                } catch (error) {
+                    lines.push(`The statistics couldn't be checked: ${error.message}.`, '');
+                }
+            }
+        });
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Names the evidence a citation points at, e.g. "My process, query 1 on `table`"
+ * @param {Object} provenance
+ * @param {Object} citation - From findCitation
+ * @returns {string}
+ */
+function describeCitation(provenance, citation) {
+    const section = provenance.sections[citation.section];
+    const title = section.title || 'My process';
+    const query = citation.query !== undefined && section.queries ? section.queries[citation.query] : null;
+    if (query) return `${title}, query ${Number(citation.query) + 1} on \`${query.table}\``;
+    if (citation.statistics && section.statistics) return `${title}, ${section.statistics.method || 'z-test for difference in means'}`;
+    if (citation.source) return `${title}, the table \`${citation.source}\``;
+    return title;
+}
+
+/**
+ * The chat as a standalone page laid out for printing (or saving as PDF).
+ * Charts are drawn into it as SVG, so it doesn't need this script.
+ * @param {Conversation} conversation
+ * @returns {string}
+ */
+function conversationToPrintHtml(conversation) {
+    const turns = conversation.turns.map(turn => {
+        if (turn.role === 'user') {
+            return `<section class="print-turn print-turn-user">
+                <div class="print-role">You</div>
+                <div class="message-content">${escapeHtml(turn.content)}</div>
+            </section>`;
+        }
+
+        const steps = (turn.steps || []).map(step =>
+            `<li>${escapeHtml(step.label.replace(/(\.\.\.|…)$/, ''))} (${formatDuration(step.durationMs || 0)})</li>`).join('');
+
+        const sections = turn.provenance && Array.isArray(turn.provenance.sections) ? turn.provenance.sections : [];
+        const process = sections.map(section => {
+            let html = renderProvenanceSection(section);
+            if (section.statistics) {
+                try {
+                    const chart = renderChartSvg(buildAbTestChart(section.statistics, analyseStatistics(section.statistics)));
+                    html = html.replace('<div class="graph-container"></div>', `<div class="print-chart">${chart}</div>`);
+                } catch (error) {
+                    // renderStatistics has already explained what's wrong with the statistics
+                }
+            }
+            return `<h3>${escapeHtml(section.title || 'My process')}</h3>${html}`;
+        }).join('');
+
+        return `<section class="print-turn print-turn-ai">
+            <div class="print-role">DataSage</div>
+            ${steps ? `<ol class="print-steps">${steps}</ol>` : ''}
+            <div class="message-content">${renderPrintCharts(replyToHtml(turn))}${turn.stopped ? renderStoppedMarker(Boolean(turn.content)) : ''}</div>
+            ${process ? `<div class="modal-body print-process"><h2>How I got this answer</h2>${process}</div>` : ''}
+        </section>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en" data-theme="light">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(conversation.title)}</title>
+    <base href="${escapeHtml(window.location.href.split('#')[0])}">
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body class="print-view">
+    <header class="print-header">
+        <h1>${escapeHtml(conversation.title)}</h1>
+        <p>Exported from DataSage on ${escapeHtml(new Date().toLocaleString())}</p>
+    </header>
+    <main>${turns}</main>
+</body>
+</html>`;
+}
+
+/**
+ * Swaps the ```chart placeholders in a message's HTML for drawn SVG charts.
+ * @param {string} html
+ * @returns {string}
+ */
+function renderPrintCharts(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll('.message-chart[data-chart]').forEach(placeholder => {
+        const chart = document.createElement('div');
+        chart.className = 'print-chart';
+        try {
+            chart.innerHTML = renderChartSvg(JSON.parse(placeholder.dataset.chart));
+        } catch (error) {
+            chart.textContent = "Couldn't draw this chart.";
+        }
+        placeholder.replaceWith(chart);
+    });
+    return template.innerHTML;
+}
+
+/**
+ * Downloads the active chat, or opens it as a page to print
+ * @param {Conversation} conversation
+ * @param {'markdown'|'json'|'print'} format
+ */
+function exportConversation(conversation, format) {
+    if (format === 'markdown') {
+        downloadBlob(new Blob([conversationToMarkdown(conversation)], { type: 'text/markdown;charset=utf-8' }),
+            getExportFilename(conversation, 'md'));
+    } else if (format === 'json') {
+        downloadBlob(new Blob([conversationToJson(conversation)], { type: 'application/json;charset=utf-8' }),
+            getExportFilename(conversation, 'json'));
+    } else if (format === 'print') {
+        const page = new Blob([conversationToPrintHtml(conversation)], { type: 'text/html;charset=utf-8' });
+        const url = URL.createObjectURL(page);
+        const printWindow = window.open(url, '_blank');
+        if (!printWindow) {
+            // Pop-ups are blocked, so save the page instead
+            URL.revokeObjectURL(url);
+            downloadBlob(page, getExportFilename(conversation, 'html'));
+            return;
+        }
+        try {
+            printWindow.addEventListener('load', () => printWindow.print());
+        } catch (error) {
+            // Opened from disk the page has its own origin, so it's printed from its own menu
+        }
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+}
+
+/**
+ * Why a file over CHAT_IMPORT_MAX_BYTES can't be imported.
+ * @returns {string}
+ */
+function tooBigToImportMessage() {
+    return `This file is too big to be a chat export (the limit is ${CHAT_IMPORT_MAX_BYTES / 1024 / 1024} MB).`;
+}
+
+/**
+ * Reads a chat export (see conversationToJson) back into a conversation.
+ * It gets a new id, so importing never overwrites a saved chat.
+ * @param {string} text - The file's contents
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly] - Whether the chat can be continued
+ * @returns {Conversation}
+ * @throws {Error} If the file isn't a chat export, is too big or has a message it can't read
+ */
+function parseConversationExport(text, { readOnly = false } = {}) {
+    if (new TextEncoder().encode(text).length > CHAT_IMPORT_MAX_BYTES) {
+        throw new Error(tooBigToImportMessage());
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("This file isn't valid JSON.");
+    }
+
+    const record = data && data.format === CHAT_EXPORT_FORMAT ? data.conversation : null;
+    if (!record || !Array.isArray(record.turns)) {
+        throw new Error("This file isn't a DataSage chat export.");
+    }
+    if (data.version > CHAT_EXPORT_VERSION) {
+        throw new Error('This chat was exported by a newer version of DataSage.');
+    }
+
+    const badTurn = record.turns.find(turn => !turn || typeof turn.content !== 'string' || (turn.role !== 'user' && turn.role !== 'ai'));
+    if (badTurn !== undefined) {
+        throw new Error(badTurn && typeof badTurn.content === 'string'
+            ? `This chat export has a message from an unknown sender ("${String(badTurn.role)}").`
+            : 'This chat export has a message without any text.');
+    }
+
+    const turns = record.turns
+        .map(turn => ({
+            id: typeof turn.id === 'string' ? turn.id : createId(),
+            role: turn.role,
+            content: turn.content,
+            format: ['html', 'markdown', 'text'].includes(turn.format) ? turn.format : (turn.role === 'user' ? 'text' : 'markdown'),
+            createdAt: Number(turn.createdAt) || Date.now(),
+            provenance: turn.provenance && typeof turn.provenance === 'object' ? turn.provenance : null,
+            steps: Array.isArray(turn.steps) ? turn.steps.filter(step => step && typeof step.label === 'string') : [],
+            stopped: turn.stopped === true
+        }));
+    if (turns.length === 0) {
+        throw new Error('This chat export has no messages.');
+    }
+
+    return new Conversation({
+        createdAt: Number(record.createdAt) || Date.now(),
+        updatedAt: Date.now(),
+        turns,
+        readOnly
+    });
+}
+
+/**
+ * Saves an imported chat file and opens it.
+ * @param {File} file - A JSON chat export
+ * @param {Object} [options] - See parseConversationExport
+ * @returns {Promise<Conversation>}
+ * @throws {Error} If the file isn't a chat export
+ */
+async function importConversation(file, options) {
+    // Checked before reading, so a huge file isn't loaded just to be turned down
+    if (file.size > CHAT_IMPORT_MAX_BYTES) {
+        throw new Error(tooBigToImportMessage());
+    }
+    const conversation = parseConversationExport(await file.text(), options);
+    await chatStore.put(conversation);
+    renderChatHistory();
+    router.navigate(getConversationPath(conversation));
+    return conversation;
+}
+
+/**
+ * Shows the export toolbar once the open chat has messages, and marks
+ * read-only imports.
+ */
+function updateChatToolbar() {
+    const toolbar = document.querySelector('.chat-toolbar');
+    if (!toolbar) return;
+    toolbar.hidden = activeConversation.turns.length === 0;
+    toolbar.classList.toggle('read-only', activeConversation.readOnly);
+}
+
+/**
+ * A drop-down menu opened by a button. Arrow keys move between its items,
+ * and Escape or a click elsewhere closes it.
+ * @param {HTMLElement} button - Has aria-controls pointing at the menu
+ * @param {HTMLElement} menu - Holds the [role="menuitem"] buttons
+ * @param {function(HTMLElement)} onSelect - Called with the chosen item
+ */
+function initMenu(button, menu, onSelect) {
+    const items = () => Array.from(menu.querySelectorAll('[role="menuitem"]'));
+
+    function open() {
+        menu.hidden = false;
+        button.setAttribute('aria-expanded', 'true');
+        items()[0].focus();
+    }
+
+    function close(returnFocus) {
+        if (menu.hidden) return;
+        menu.hidden = true;
+        button.setAttribute('aria-expanded', 'false');
+        if (returnFocus) button.focus();
+    }
+
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (menu.hidden) open(); else close(false);
+    });
+
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('[role="menuitem"]');
+        if (!item) return;
+        close(true);
+        onSelect(item);
+    });
+
+    menu.addEventListener('keydown', (e) => {
+        const list = items();
+        const index = list.indexOf(document.activeElement);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            list[(index + step + list.length) % list.length].focus();
+        } else if (e.key === 'Home' || e.key === 'End') {
+            e.preventDefault();
+            list[e.key === 'Home' ? 0 : list.length - 1].focus();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            close(true);
+        } else if (e.key === 'Tab') {
+            close(false);
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) close(false);
+    });
+}
+
+/**
+ * Shows the agent's steps in the thought bubble, then its reply.
+ *
+ * Stopping (aborting the signal) cancels the request and cuts every animation
+ * short, and whatever part of the reply had arrived is shown as stopped.
+ *
+ * @param {string} message - What the user typed
+ * @param {Array} history - Earlier turns, sent to the backend as context
+ * @param {AbortSignal} signal - Aborted when the user stops the reply
+ * @returns {Promise<{id: string, content: string, format: string, steps: Array, stopped: boolean}>} The AI's reply
+ */
+async function simulateAIConversation(message, history, signal) {
+    // Get references to the elements we'll animate
+    const thoughtBubbleElement = document.getElementById('thoughtBubble');
+    const thoughtContent = thoughtBubbleElement.querySelector('.thought-bubble-content');
+    const characterWrapper = document.querySelector('.character-wrapper');
+
+    // Bring the character back if a previous turn slid it away
+    if (characterWrapper.classList.contains('hidden')) {
+        characterWrapper.classList.remove('hidden', 'character-slide-down');
+        characterWrapper.classList.add('character-slide-up');
+        thoughtBubbleElement.classList.remove('bubble-float-up');
+        thoughtContent.textContent = '';
+        setTimeout(() => characterWrapper.classList.remove('character-slide-up'), motion.duration(600));
+    }
+
+    // Show the thought bubble
+    character.setState('thinking');
+    thoughtBubbleElement.style.display = 'block';
+    const thoughtBubble = new ThoughtBubble(thoughtBubbleElement, signal);
+    thoughtBubble.show(STEP_LABELS.thinking);
+
+    // Ask the agent backend, and show its steps until the answer starts arriving
+    const adapter = createAgentAdapter(AGENT_CONFIG);
+    const events = streamAgentEvents(adapter, { message, history, signal });
+    const replyId = createId(); // Id of the AI turn we're about to add
+    const stepRecorder = new StepRecorder();
+
+    let firstAnswerEvent = null; // The first 'delta' or 'reply' event
+    let provenance = null;       // Provenance sent before the answer started
+    let stopped = false;
+    try {
+        try {
+            // Read events by hand: breaking out of a for-await loop would close the stream
+            while (true) {
+                const { done, value: event } = await untilAborted(events.next(), signal);
+                if (done) break;
+
+                if (event.type === 'step') {
+                    stepRecorder.add(event);
+                    thoughtBubble.show(describeStep(event));
+                } else if (event.type === 'provenance') {
+                    provenance = event.provenance;
+                } else if (event.type === 'delta' || event.type === 'reply') {
+                    firstAnswerEvent = event;
+                    break;
+                }
+            }
+        } catch (error) {
+            if (signal.aborted) throw error;
+            console.error('Agent backend request failed:', error);
+        }
+
+        if (!firstAnswerEvent || firstAnswerEvent.type === 'reply') {
+            stepRecorder.end();
+        }
+
+        // Let the last step be read before the bubble leaves
+        await untilAborted(thoughtBubble.finish(), signal);
+
+        // The character looks confused if nothing came back, and presents the answer otherwise
+        await untilAborted(character.play(firstAnswerEvent ? 'presenting' : 'error'), signal);
+
+        // Animate the thought bubble floating up and character sliding down
+        thoughtBubbleElement.classList.add('bubble-float-up');
+        characterWrapper.classList.add('character-slide-down');
+
+        // Wait for animations to finish
+        await sleep(motion.duration(1000), signal);
+    } catch (error) {
+        if (!signal.aborted) throw error;
+
+        // Stopped: drop the animations and the request where they are
+        stopped = true;
+        thoughtBubble.stop();
+        stepRecorder.end();
+        character.setState('idle', { force: true });
+        events.return().catch(() => { });
+    }
+
+    // Hide the character completely
+    characterWrapper.classList.add('hidden');
+
+    let reply;
+    if (firstAnswerEvent && firstAnswerEvent.type === 'delta' && !stopped) {
+        // Show the reply as it arrives (the "Verify truth" button is added once it's complete)
+        reply = await streamReplyIntoChat(events, firstAnswerEvent, replyId, stepRecorder, signal);
+    } else {
+        if (firstAnswerEvent && firstAnswerEvent.type === 'delta') {
+            // Stopped just as the answer started arriving: keep what there is
+            reply = { content: firstAnswerEvent.text, format: 'markdown', stopped: true };
+        } else if (firstAnswerEvent) {
+            // A whole reply had already arrived, so only its animations were stopped
+            reply = firstAnswerEvent;
+        } else if (stopped) {
+            reply = { content: '', format: 'markdown', stopped: true };
+        } else {
+            reply = {
+                content: "Sorry, I couldn't reach the agent backend. Please try again in a moment.",
+                format: 'markdown'
+            };
+        }
+
+        // Add the AI response to the chat
+        // Pass false for shouldScroll to prevent jumping to bottom, allowing smooth scroll to top
+        let html = renderStepTimeline(stepRecorder.steps) + replyToHtml(reply);
+        if (reply.stopped) html += renderStoppedMarker(Boolean(reply.content));
+        const messageElement = addMessage('ai', html, character.avatar, false);
+        messageElement.dataset.turnId = replyId;
+
+        // Scroll the message to the top of the view (respecting scroll-margin-top)
+        // Use a small timeout to ensure the DOM is fully updated and layout is stable
+        // (after a stop it just jumps there)
+        setTimeout(() => {
+            smoothScrollTo(messageElement, stopped ? 0 : 1500, signal); // 1.5s duration for very smooth effect
+        }, motion.duration(100));
+
+        // Add the "Verify truth" button after the AI message
+        addVerifyButton(replyId);
+    }
+
+    // Reset the bubble so it's ready for the next turn
+    thoughtBubbleElement.style.display = 'none';
+
+    return {
+        id: replyId,
+        content: reply.content,
+        format: reply.format,
+        provenance: reply.provenance || provenance,
+        steps: stepRecorder.steps,
+        stopped: Boolean(reply.stopped)
+    };
+}
+
+/**
+ * Adds the "Verify truth" button to chat.
+ * @param {string} turnId - The AI answer the button verifies
+ */
+function addVerifyButton(turnId) {
+    const chatMessages = document.getElementById('chatMessages');
+
+    // Create a container for the button
+    const buttonContainer = document.createElement('div');
+    buttonContainer.className = 'verify-button-container';
+
+    // Create the button
+    const button = document.createElement('button');
+    button.className = 'verify-button';
+    button.textContent = 'Verify truth';
+    button.dataset.turnId = turnId;
+
+    // When clicked, open the modal with process details (through the URL, so it can be linked)
+    button.addEventListener('click', () => {
+        router.navigate(`${getConversationPath(activeConversation)}/verify/${encodeURIComponent(turnId)}`);
+    });
+
+    // Add button to the chat
+    buttonContainer.appendChild(button);
+    chatMessages.appendChild(buttonContainer);
+}
+
+/**
+ * Average of a list of numbers.
+ * @param {number[]} values
+ * @returns {number}
+ */
+function meanOf(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation (dividing by n - 1) of a list of numbers.
+ * @param {number[]} values
+ * @returns {number}
+ */
+function standardDeviationOf(values) {
+    const mean = meanOf(values);
+    const squares = values.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+    return Math.sqrt(squares / (values.length - 1));
+}
+
+/**
+ * Complementary error function, accurate to about 1e-7 relative error even far
+ * into the tails (Numerical Recipes' erfcc), so tiny p-values stay meaningful.
+ * @param {number} x
+ * @returns {number}
+ */
+function erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const result = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? result : 2 - result;
+}
+
+/**
+ * Two-sided p-value for a z statistic: the chance of a result at least this far from zero.
+ * @param {number} z
+ * @returns {number}
+ */
+function twoSidedPValue(z) {
+    return erfc(Math.abs(z) / Math.SQRT2);
+}
+
+/**
+ * The z value below which a fraction `p` of the standard normal distribution lies
+ * (Acklam's rational approximation, relative error below 1.2e-9).
+ * @param {number} p - Between 0 and 1
+ * @returns {number}
+ */
+function normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Z-test for the difference in means between two independent samples.
+ *
+ * The difference is B minus A. Uses each sample's own standard deviation
+ * (Welch-style standard error), which is fine for the large samples of an A/B test.
+ *
+ * @param {number[]} samplesA
+ * @param {number[]} samplesB
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05] - Significance level
+ * @param {number} [options.confidenceLevel=0.95] - For the confidence interval
+ * @returns {Object} { groups: [{ n, mean, sd }], difference, standardError, z, pValue,
+ *   alpha, significant, confidenceLevel, confidenceInterval: [low, high] }
+ * @throws {Error} If a group has fewer than two samples, or they're all the same
+ */
+function zTestDifferenceInMeans(samplesA, samplesB, { alpha = 0.05, confidenceLevel = 0.95 } = {}) {
+    if (samplesA.length < 2 || samplesB.length < 2) {
+        throw new Error('Each group needs at least two samples');
+    }
+
+    const groups = [samplesA, samplesB].map(samples => ({
+        n: samples.length,
+        mean: meanOf(samples),
+        sd: standardDeviationOf(samples)
+    }));
+    const [groupA, groupB] = groups;
+    // A group without any spread has no normal curve to draw or compare
+    if (groupA.sd === 0 || groupB.sd === 0) {
+        throw new Error('Each group needs samples that vary');
+    }
+
+    const difference = groupB.mean - groupA.mean;
+    const standardError = Math.sqrt(groupA.sd ** 2 / groupA.n + groupB.sd ** 2 / groupB.n);
+    const z = difference / standardError;
+    const pValue = twoSidedPValue(z);
+    const margin = normalQuantile(1 - (1 - confidenceLevel) / 2) * standardError;
+
+    return {
+        groups,
+        difference,
+        standardError,
+        z,
+        pValue,
+        alpha,
+        significant: pValue < alpha,
+        confidenceLevel,
+        confidenceInterval: [difference - margin, difference + margin]
+    };
+}
+
+// Test results per provenance statistics object, so the copy and the graph share one calculation
+const statisticsResults = new WeakMap();
+
+/**
+ * Runs the test a provenance statistics section describes on its samples.
+ * @param {Object} statistics - See renderProvenance
+ * @returns {Object} The result of zTestDifferenceInMeans
+ */
+function analyseStatistics(statistics) {
+    if (!statisticsResults.has(statistics)) {
+        const [groupA, groupB] = statistics.groups || [];
+        if (!groupA || !groupB || !Array.isArray(groupA.samples) || !Array.isArray(groupB.samples)) {
+            throw new Error('The test needs samples for two groups');
+        }
+        const parameters = statistics.parameters || {};
+        statisticsResults.set(statistics, zTestDifferenceInMeans(groupA.samples, groupB.samples, {
+            alpha: parameters.alpha,
+            confidenceLevel: parameters.confidenceLevel
+        }));
+    }
+    return statisticsResults.get(statistics);
+}
+
+/**
+ * Rounds a statistic for display, dropping trailing zeros (1.30 -> "1.3").
+ * @param {number} value
+ * @param {number} [digits=1]
+ * @returns {string}
+ */
+function formatStatistic(value, digits = 1) {
+    return String(Number(value.toFixed(digits)));
+}
+
+/**
+ * Formats a p-value the way papers do: small ones as "< 0.001".
+ * @param {number} pValue
+ * @returns {string}
+ */
+function formatPValue(pValue) {
+    return pValue < 0.001 ? '< 0.001' : `= ${formatStatistic(pValue, 3)}`;
+}
+
+// A number followed by a unit we can check: a percentage, a duration or a count of people/things,
+// and what it measures if the answer says ("3% increase in MRR" measures MRR).
+// Numbers after > or < are thresholds ("users with >7 months"), not claims, so they're skipped.
+const CLAIM_PATTERN = new RegExp(
+    '(^|[^\\w.,<>≤≥])' +
+    '(\\d{1,3}(?:,\\d{3})+|\\d+)(\\.\\d+)?\\s*' +
+    '(%|percent\\b|per cent\\b|' +
+    '(?:hour|day|week|month|year)s?\\b|' +
+    '(?:users?|customers?|responses?|respondents?|people|accounts?|subscribers?|sessions?)\\b)' +
+    '(?:\\s+(?:increase|decrease|rise|drop|growth|reduction|more|less|fewer|higher|lower|longer|shorter))?' +
+    '(?:\\s+(?:in|of)\\s+(?:the\\s+|their\\s+|our\\s+)?([\\w-]+))?',
+    'gi'
+);
+
+/**
+ * What a unit can be compared with: 'percent', 'count', or a duration in a
+ * particular unit (e.g. 'duration:month')
+ * @param {string} unit - As written after a number, or a statistics unit
+ * @returns {string|null}
+ */
+function claimKindOfUnit(unit) {
+    const word = String(unit || '').toLowerCase().trim();
+    if (/^(%|percent|per cent)/.test(word)) return 'percent';
+    const duration = word.match(/^(hour|day|week|month|year)s?$/);
+    if (duration) return `duration:${duration[1]}`;
+    if (/^(users?|customers?|responses?|respondents?|people|accounts?|subscribers?|sessions?)$/.test(word)) return 'count';
+    return null;
+}
+
+/**
+ * Guesses what a query result column measures from its name, e.g. avg_months_subscribed
+ * is a duration in months and total_users a count.
+ * @param {string} column
+ * @returns {string|null} A kind, as for claimKindOfUnit
+ */
+function claimKindOfColumn(column) {
+    const name = column.toLowerCase();
+    if (/percent|pct|rate|share/.test(name)) return 'percent';
+    const duration = name.match(/(hour|day|week|month|year)s?/);
+    if (duration) return `duration:${duration[1]}`;
+    if (/users|customers|responses|respondents|accounts|subscribers|sessions|count|total|^n$/.test(name)) return 'count';
+    return null;
+}
+
+/**
+ * Whether a figure is about what a claim measures, e.g. the claim subject "mrr" and the
+ * column mrr_increase_percent, or "subscription" and avg_months_subscribed. Words match
+ * when they start the same way (up to five letters), so word endings don't matter.
+ * @param {string} subject - From extractClaims
+ * @param {string} name - A column name or statistics metric
+ * @returns {boolean}
+ */
+function claimSubjectMatches(subject, name) {
+    const length = Math.min(5, subject.length);
+    return name.toLowerCase().split(/[^a-z0-9]+/).some(word => word.slice(0, length) === subject.slice(0, length));
+}
+
+/**
+ * Finds the numeric claims in an answer: a number and its unit, e.g. "3%" or "1.3 months",
+ * with the subject they measure when the answer names one ("3% increase in MRR").
+ * Code blocks (like ```chart data) are left out.
+ * @param {Object} turn - An AI answer
+ * @returns {Array<{text: string, value: number, decimals: number, kind: string, unit: string, subject: ?string}>}
+ */
+function extractClaims(turn) {
+    let text = turn.content;
+    if (turn.format === 'html') {
+        text = new DOMParser().parseFromString(text, 'text/html').body.textContent;
+    } else if (turn.format === 'markdown') {
+        // Only formatting goes: > and < stay, as they mark thresholds
+        text = text
+            .replace(/```[\s\S]*?(```|$)/g, ' ')
+            .replace(/`[^`]*`/g, ' ')
+            .replace(/\[\^[\w-]+\]/g, '')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/[*_#|]/g, '');
+    }
+    text = text.replace(/\s+/g, ' ');
+
+    return [...text.matchAll(CLAIM_PATTERN)].map(([, , whole, fraction = '', unit, subject]) => {
+        const kind = claimKindOfUnit(unit);
+        return {
+            text: `${whole}${fraction}${unit === '%' ? '' : ' '}${unit}`,
+            value: Number(whole.replace(/,/g, '') + fraction),
+            decimals: Math.max(0, fraction.length - 1),
+            kind,
+            unit: unit === '%' ? '%' : unit.toLowerCase(),
+            // A count's unit already says what is counted ("1,842 users of the tool")
+            subject: subject && kind !== 'count' ? subject.toLowerCase() : null
+        };
+    });
+}
+
+/**
+ * Collects the figures an answer's provenance can back claims with: the statistics'
+ * results, and the numbers in its query results. Queries without attached results
+ * are run against the sample tables.
+ * @param {Object} [provenance] - See renderProvenance
+ * @returns {Promise<{evidence: Array<{kind, value, subject, label}>, problems: string[]}>}
+ */
+async function gatherEvidence(provenance) {
+    const sections = provenance && Array.isArray(provenance.sections) ? provenance.sections : [];
+    const evidence = [];
+    const problems = [];
+    let queryError = null;
+
+    for (const section of sections) {
+        if (section.statistics) {
+            try {
+                const { metric, unit, groups } = section.statistics;
+                const result = analyseStatistics(section.statistics);
+                const kind = claimKindOfUnit(unit);
+                evidence.push({ kind, value: Math.abs(result.difference), subject: metric, label: `the difference in average ${metric} between the groups` });
+                groups.forEach((group, index) => {
+                    evidence.push({ kind, value: result.groups[index].mean, subject: metric, label: `the average ${metric} of Group ${group.name}` });
+                    evidence.push({ kind: 'count', value: result.groups[index].n, subject: 'users', label: `the number of users in Group ${group.name}` });
+                });
+            } catch (error) {
+                problems.push(`The statistics couldn't be checked: ${error.message}.`);
+            }
+        }
+
+        for (const query of section.queries || []) {
+            let result = query.result;
+            if (!result) {
+                try {
+                    result = await sampleDatabase.query(query.sql);
+                } catch (error) {
+                    queryError = queryError || error;
+                    continue;
+                }
+            }
+            const label = column => `\`${column}\` in the results of the query on \`${query.table}\``;
+            result.rows.slice(0, CLAIM_EVIDENCE_ROW_LIMIT).forEach(row => {
+                result.columns.forEach((column, index) => {
+                    const value = Array.isArray(row) ? row[index] : row[column];
+                    const kind = claimKindOfColumn(column);
+                    if (kind && typeof value === 'number') evidence.push({ kind, value, subject: column, label: label(column) });
+                });
+            });
+        }
+    }
+
+    if (queryError) {
+        problems.push(`Some queries couldn't be run, so their results weren't checked. ${queryError.message}`);
+    }
+    return { evidence, problems };
+}
+
+// Rows of each query result that claims are compared with
+const CLAIM_EVIDENCE_ROW_LIMIT = 50;
+
+/**
+ * Checks one claim against the evidence. Only figures of the same kind, and about the
+ * claim's subject if it has one, are compared. A claim is confirmed when one of them
+ * rounds to it (at the precision it was written with), mismatched when there are such
+ * figures but none agree, and unsupported when there are none.
+ * @param {Object} claim - From extractClaims
+ * @param {Array} evidence - From gatherEvidence
+ * @returns {Object} The claim with `status` and the `evidence` it matched (or came closest to)
+ */
+function checkClaim(claim, evidence) {
+    const tolerance = 0.5 * Math.pow(10, -claim.decimals) + 1e-9;
+    // Rates are often stored as fractions (0.03 for 3%)
+    const valuesOf = item => item.kind === 'percent' && Math.abs(item.value) <= 1 ? [item.value, item.value * 100] : [item.value];
+    const distance = item => Math.min(...valuesOf(item).map(value => Math.abs(value - claim.value)));
+
+    const candidates = evidence.filter(item => item.kind === claim.kind &&
+        (!claim.subject || claimSubjectMatches(claim.subject, item.subject)));
+    if (candidates.length === 0) return { ...claim, status: 'unsupported', evidence: null };
+
+    const closest = candidates.reduce((best, item) => distance(item) < distance(best) ? item : best);
+    return { ...claim, status: distance(closest) <= tolerance ? 'confirmed' : 'mismatched', evidence: closest };
+}
+
+// Checks by turn id, so each answer is only checked once
+const claimChecks = new Map();
+
+/**
+ * Checks every numeric claim in an answer against its provenance.
+ * @param {Object} turn - An AI answer
+ * @returns {Promise<{claims: Object[], problems: string[]}>} Claims from checkClaim
+ */
+function checkClaims(turn) {
+    if (!claimChecks.has(turn.id)) {
+        claimChecks.set(turn.id, (async () => {
+            const claims = extractClaims(turn);
+            if (claims.length === 0) return { claims, problems: [] };
+            const { evidence, problems } = await gatherEvidence(turn.provenance);
+            return { claims: claims.map(claim => checkClaim(claim, evidence)), problems };
+        })());
+    }
+    return claimChecks.get(turn.id);
+}
+
+/**
+ * The overall verdict on an answer's claims, for the "Verify truth" badge.
+ * @param {Object[]} claims - From checkClaims
+ * @returns {{status: 'confirmed'|'partial'|'mismatched', label: string}|null} Null if there's nothing to check
+ */
+function summariseClaims(claims) {
+    if (claims.length === 0) return null;
+    const count = status => claims.filter(claim => claim.status === status).length;
+    const confirmed = count('confirmed');
+    const mismatched = count('mismatched');
+
+    if (mismatched > 0) return { status: 'mismatched', label: `${mismatched} mismatched` };
+    if (confirmed === claims.length) return { status: 'confirmed', label: `${confirmed} confirmed` };
+    return { status: 'partial', label: `${confirmed} of ${claims.length} confirmed` };
+}
+
+/**
+ * Formats a figure a claim was checked against.
+ * @param {number} value
+ * @param {string} kind
+ * @returns {string}
+ */
+function formatEvidenceValue(value, kind) {
+    const number = Number.isInteger(value) ? value.toLocaleString('en-US') : String(Number(value.toFixed(2)));
+    if (kind === 'percent') return `${number}${Math.abs(value) <= 1 && value !== 0 ? ` (${Number((value * 100).toFixed(2))}%)` : '%'}`;
+    if (kind.startsWith('duration:')) return `${number} ${kind.slice('duration:'.length)}s`;
+    return number;
+}
+
+/**
+ * Renders the claims list at the top of the process modal.
+ * @param {{claims: Object[], problems: string[]}} check - From checkClaims
+ * @returns {string}
+ */
+function renderClaims({ claims, problems }) {
+    if (claims.length === 0) {
+        return '<p class="modal-note">I didn\'t find any figures in this answer to check.</p>';
+    }
+
+    const statusLabels = { confirmed: 'Confirmed', mismatched: 'Mismatched', unsupported: 'Unsupported' };
+    const items = claims.map(claim => {
+        let detail;
+        if (claim.status === 'unsupported') {
+            detail = 'Nothing in the queries or statistics measures this.';
+        } else {
+            const figure = `${claim.evidence.label} (${formatEvidenceValue(claim.evidence.value, claim.evidence.kind)})`;
+            detail = claim.status === 'confirmed' ? `Matches ${figure}.` : `Doesn't match. The closest figure is ${figure}.`;
+        }
+        return `<li class="claim claim-${claim.status}">
+            <span class="claim-status">${statusLabels[claim.status]}</span>
+            <span class="claim-text">"${escapeHtml(claim.text)}"</span>
+            <span class="claim-detail">${renderProvenanceText(detail)}</span>
+        </li>`;
+    }).join('');
+
+    return '<div class="claims-check-title">Figures in this answer</div>' +
+        `<ul class="claims-list">${items}</ul>` +
+        problems.map(problem => `<p class="modal-note">${renderProvenanceText(problem)}</p>`).join('');
+}
+
+/**
+ * Adds the overall claim check to an answer's "Verify truth" button, once it's done.
+ * @param {Object} turn - An AI answer
+ */
+async function showVerifyBadge(turn) {
+    const { claims } = await checkClaims(turn);
+    const summary = summariseClaims(claims);
+    const button = [...document.querySelectorAll('.verify-button')].find(element => element.dataset.turnId === turn.id);
+    if (!summary || !button || button.querySelector('.verify-badge')) return;
+
+    const badge = document.createElement('span');
+    badge.className = `verify-badge verify-badge-${summary.status}`;
+    badge.textContent = summary.label;
+    button.appendChild(badge);
+    button.setAttribute('aria-label', `Verify truth: ${summary.label}`);
+}
+
+/**
+ * Renders an answer's provenance as the process modal's expanders.
+ *
+ * Provenance describes how an answer was reached:
+ *   {
+ *     sections: [{
+ *       title: 'My quantitative process',
+ *       sources: [{ table, description }],   tables the agent looked at
+ *       queries: [{ table, sql, result? }],  queries it ran, optionally with their { columns, rows }
+ *       notes: ['...'],                      anything else worth knowing (`backticks` show as code)
+ *       statistics: {                        optional test comparing two groups
+ *         method, purpose, metric, unit,
+ *         parameters: { alpha, confidenceLevel },
+ *         groups: [{ name, description, samples: [numbers] }]   raw values, A then B
+ *       }
+ *     }],
+ *     citations: [                           what the answer's [^1] markers point at
+ *       { id: '1', section: 0, query: 0 },   a query, by its index in the section's queries
+ *       { id: '2', section: 0, statistics: true },
+ *       { id: '3', section: 1, source: 'table-name' }
+ *     ]
+ *   }
+ *
+ * @param {Object} [provenance]
+ * @returns {string} HTML for the modal body
+ */
+function renderProvenance(provenance) {
+    const sections = provenance && Array.isArray(provenance.sections) ? provenance.sections : [];
+    if (sections.length === 0) {
+        return '<p class="modal-empty">No process details were recorded for this answer.</p>';
+    }
+
+    return sections.map((section, index) => `
+        <div class="modal-expander" data-section-index="${index}">
+            <button type="button" class="modal-expander-header" id="modal-expander-header-${index}"
+                aria-expanded="false" aria-controls="modal-expander-content-${index}">
+                <span class="modal-expander-title">${escapeHtml(section.title || 'My process')}</span>
+                <svg class="modal-expander-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
+                </svg>
+            </button>
+            <div class="modal-expander-content" id="modal-expander-content-${index}" role="region"
+                aria-labelledby="modal-expander-header-${index}">
+                <div class="modal-expander-body">${renderProvenanceSection(section)}</div>
+            </div>
+        </div>`).join('');
+}
+
+/**
+ * Opens or closes a modal expander
+ * @param {HTMLElement} expander
+ * @param {boolean} expanded
+ */
+function setExpanderExpanded(expander, expanded) {
+    expander.classList.toggle('expanded', expanded);
+    expander.querySelector('.modal-expander-header').setAttribute('aria-expanded', String(expanded));
+}
+
+/**
+ * Renders the inside of one provenance expander: sources with their queries, notes and statistics.
+ * @param {Object} section - See renderProvenance
+ * @returns {string}
+ */
+function renderProvenanceSection(section) {
+    const sources = section.sources || [];
+    const queries = section.queries || [];
+    let html = '';
+
+    sources.forEach(source => {
+        html += `<div class="modal-source" data-source-table="${escapeHtml(source.table)}">`;
+        html += `<p class="query-label">${escapeHtml(source.description || 'I queried the table')}</p>`;
+        html += `<span class="table-link">${escapeHtml(source.table)}</span></div>`;
+        queries.forEach((query, index) => {
+            if (query.table === source.table) html += renderSqlBlock(query.sql, index);
+        });
+    });
+
+    // Queries that don't belong to a listed source still get shown
+    queries.forEach((query, index) => {
+        if (!sources.some(source => source.table === query.table)) html += renderSqlBlock(query.sql, index);
+    });
+
+    (section.notes || []).forEach(note => {
+        html += `<p class="modal-note">${renderProvenanceText(note)}</p>`;
+    });
+
+    if (section.statistics) {
+        html += renderStatistics(section.statistics);
+    }
+    return html;
+}
+
+/**
+ * Describes a statistical test and its result in plain sentences.
+ * Every number is calculated from the groups' samples, so the copy and the graph always agree.
+ * @param {Object} statistics - See renderProvenance
+ * @returns {string[]}
+ * @throws {Error} If the groups' samples can't be compared
+ */
+function describeStatistics(statistics) {
+    const { method = 'z-test for difference in means', purpose, metric, unit } = statistics;
+    const result = analyseStatistics(statistics);
+
+    const [groupA, groupB] = statistics.groups;
+    const [summaryA, summaryB] = result.groups;
+    const describeGroup = (group, summary) =>
+        `Group ${group.name} (${group.description}) averaged ${formatStatistic(summary.mean)} ${unit} ` +
+        `(SD ${formatStatistic(summary.sd)}, n = ${summary.n})`;
+
+    const direction = result.difference >= 0 ? 'higher' : 'lower';
+    const [low, high] = result.confidenceInterval;
+    const confidence = formatStatistic(result.confidenceLevel * 100, 0);
+    const verdict = result.significant
+        ? `That is below the significance level (alpha) of ${result.alpha}, meaning this is a statistically significant change.`
+        : `That is above the significance level (alpha) of ${result.alpha}, so the difference could be down to chance.`;
+
+    return [
+        `I conducted a ${method}${purpose ? ` ${purpose}` : ''}.`,
+        `${describeGroup(groupA, summaryA)}. ${describeGroup(groupB, summaryB)}.`,
+        `The average ${metric} for Group ${groupB.name} was ${formatStatistic(Math.abs(result.difference))} ${unit} ` +
+        `${direction} than Group ${groupA.name} (${confidence}% confidence interval: ` +
+        `${formatStatistic(low)} to ${formatStatistic(high)} ${unit}).`,
+        `The z statistic was ${formatStatistic(result.z, 2)}, giving a p-value ${formatPValue(result.pValue)}. ${verdict}`
+    ];
+}
+
+/**
+ * Describes a statistical test and its result, followed by its graph.
+ * @param {Object} statistics - See renderProvenance
+ * @returns {string}
+ */
+function renderStatistics(statistics) {
+    let sentences;
+    try {
+        sentences = describeStatistics(statistics);
+    } catch (error) {
+        const method = statistics.method || 'z-test for difference in means';
+        return `<p class="modal-note">I couldn't check the ${escapeHtml(method)}: ${escapeHtml(error.message)}.</p>`;
+    }
+
+    return '<div class="modal-statistics">' +
+        sentences.map(sentence => `<p class="modal-note">${escapeHtml(sentence)}</p>`).join('') +
+        '<div class="graph-container"></div></div>';
+}
+
+/**
+ * Escapes provenance text, showing `backticked` names as code badges.
+ * @param {string} text
+ * @returns {string}
+ */
+function renderProvenanceText(text) {
+    return escapeHtml(text).replace(/`([^`]+)`/g, '<span class="code-badge">$1</span>');
+}
+
+// SQL keywords, matched case-insensitively. Multi-word ones are kept as a single token.
+const SQL_KEYWORDS = new Set([
+    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'AS', 'ON', 'USING',
+    'JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'INNER JOIN', 'FULL JOIN', 'CROSS JOIN', 'OUTER',
+    'GROUP BY', 'ORDER BY', 'PARTITION BY', 'HAVING', 'LIMIT', 'OFFSET', 'DESC', 'ASC',
+    'DISTINCT', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'BETWEEN', 'LIKE', 'ILIKE', 'EXISTS',
+    'UNION', 'UNION ALL', 'WITH', 'OVER', 'TRUE', 'FALSE', 'INTERVAL', 'CAST',
+    'INSERT INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE FROM'
+]);
+
+// Keywords that start a clause: the formatter puts them on their own line
+const SQL_CLAUSES = new Set([
+    'SELECT', 'FROM', 'WHERE', 'GROUP BY', 'ORDER BY', 'HAVING', 'LIMIT', 'OFFSET',
+    'JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'INNER JOIN', 'FULL JOIN', 'CROSS JOIN',
+    'UNION', 'UNION ALL', 'WITH', 'INSERT INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE FROM'
+]);
+
+// Token patterns, tried in order at each position
+const SQL_TOKEN_PATTERNS = [
+    ['whitespace', /^\s+/],
+    ['comment', /^--[^\n]*/],
+    ['comment', /^\/\*[\s\S]*?(\*\/|$)/],
+    ['string', /^'(?:[^']|'')*'?/],
+    ['identifier', /^`[^`]*`?/],
+    ['identifier', /^"(?:[^"]|"")*"?/],
+    ['number', /^\d+(\.\d+)?([eE][+-]?\d+)?\b/],
+    ['keyword', /^(GROUP\s+BY|ORDER\s+BY|PARTITION\s+BY|UNION\s+ALL|INSERT\s+INTO|DELETE\s+FROM|(LEFT|RIGHT|FULL|INNER|CROSS)(\s+OUTER)?\s+JOIN)\b/i],
+    ['word', /^[A-Za-z_][\w$]*/],
+    ['operator', /^(<=|>=|<>|!=|\|\||::|[-+*\/%=<>])/],
+    ['punctuation', /^[(),.;]/]
+];
+
+// CSS class for each token type (tokens without one are left unstyled)
+const SQL_TOKEN_CLASSES = {
+    keyword: 'sql-keyword',
+    function: 'sql-function',
+    identifier: 'sql-identifier',
+    string: 'sql-string',
+    number: 'sql-number',
+    comment: 'sql-comment'
+};
+
+// One-line queries longer than this are pretty-printed
+const SQL_FORMAT_WIDTH = 80;
+
+/**
+ * Splits a SQL query into tokens.
+ *
+ * Token types are keyword, function, identifier, string, number, comment,
+ * operator, punctuation and whitespace. Joining every token's text gives back the query.
+ * Keywords also have `keyword`: the keyword in capitals with single spaces
+ * (e.g. 'GROUP BY' for "group\n  by").
+ *
+ * @param {string} sql
+ * @returns {Array<{type: string, text: string, keyword?: string}>}
+ */
+function tokenizeSql(sql) {
+    const tokens = [];
+    let rest = sql;
+
+    while (rest) {
+        let type = null;
+        let text = null;
+        for (const [patternType, pattern] of SQL_TOKEN_PATTERNS) {
+            const match = rest.match(pattern);
+            if (match && match[0]) {
+                type = patternType;
+                text = match[0];
+                break;
+            }
+        }
+
+        // Anything we don't recognise is passed through a character at a time
+        if (!text) {
+            type = 'operator';
+            text = rest[0];
+        }
+
+        if (type === 'word') {
+            // A word is a keyword, a function call, or a plain name
+            if (SQL_KEYWORDS.has(text.toUpperCase())) {
+                type = 'keyword';
+            } else if (/^\s*\(/.test(rest.slice(text.length))) {
+                type = 'function';
+            } else {
+                type = 'identifier';
+            }
+        }
+
+        const token = { type, text };
+        if (type === 'keyword') token.keyword = text.toUpperCase().replace(/\s+/g, ' ');
+        tokens.push(token);
+        rest = rest.slice(text.length);
+    }
+    return tokens;
+}
+
+/**
+ * Pretty-prints long one-line queries: each clause on its own line with
+ * its items indented below it. Queries that already have line breaks are kept as written.
+ * @param {string} sql
+ * @returns {string}
+ */
+function formatSql(sql) {
+    const trimmed = sql.trim();
+    if (trimmed.includes('\n') || trimmed.length <= SQL_FORMAT_WIDTH) {
+        return trimmed;
+    }
+
+    const tokens = tokenizeSql(trimmed).filter(token => token.type !== 'whitespace');
+    let output = '';
+    let depth = 0; // Parentheses we're inside; only top-level clauses are split up
+    let previous = null;
+
+    tokens.forEach(token => {
+        const upper = token.keyword || token.text.toUpperCase();
+
+        if (depth === 0 && token.type === 'keyword' && SQL_CLAUSES.has(upper)) {
+            output = output.trimEnd();
+            output += `${output ? '\n' : ''}${token.text.replace(/\s+/g, ' ')}\n  `;
+        } else if (depth === 0 && token.text === ',') {
+            output = output.trimEnd() + ',\n  ';
+        } else if (depth === 0 && token.type === 'keyword' && (upper === 'AND' || upper === 'OR')) {
+            output = output.trimEnd() + `\n  ${token.text} `;
+        } else {
+            const noSpaceBefore = /[\s(.]$/.test(output) || /^[),.;]$/.test(token.text) ||
+                (token.text === '(' && previous && previous.type === 'function');
+            output += (output && !noSpaceBefore ? ' ' : '') + token.text;
+            if (token.type === 'comment' && token.text.startsWith('--')) {
+                output += '\n  ';
+            }
+        }
+
+        if (token.text === '(') depth++;
+        if (token.text === ')') depth = Math.max(0, depth - 1);
+        previous = token;
+    });
+
+    return output.trimEnd();
+}
+
+/**
+ * Highlights a SQL query, one HTML string per line.
+ * @param {string} sql
+ * @returns {string[]}
+ */
+function highlightSql(sql) {
+    const lines = [''];
+    tokenizeSql(sql).forEach(token => {
+        const className = SQL_TOKEN_CLASSES[token.type];
+        // Strings and comments can span lines, so split them up
+        token.text.split('\n').forEach((part, index) => {
+            if (index > 0) lines.push('');
+            if (!part) return;
+            lines[lines.length - 1] += className
+                ? `<span class="${className}">${escapeHtml(part)}</span>`
+                : escapeHtml(part);
+        });
+    });
+    return lines;
+}
+
+/**
+ * Renders a SQL query as a highlighted code block with line numbers, a copy button
+ * and a button to run it against the sample tables.
+ * @param {string} sql
+ * @param {number} [queryIndex] - Position in the provenance section's queries, for citations
+ * @returns {string}
+ */
+function renderSqlBlock(sql, queryIndex) {
+    const formatted = formatSql(sql);
+    const lines = highlightSql(formatted)
+        .map(line => `<span class="sql-line">${line}</span>`)
+        .join('\n');
+    const index = queryIndex === undefined ? '' : ` data-query-index="${queryIndex}"`;
+
+    return `<div class="sql-block" data-sql="${escapeHtml(formatted)}"${index}>` +
+        `<pre class="sql-code"><code>${lines}</code></pre>` +
+        `<button type="button" class="sql-copy-button" aria-label="Copy query">Copy</button>` +
+        `<button type="button" class="sql-run-button">Run query</button>` +
+        `</div>`;
+}
+
+/**
+ * Copies a SQL block's query to the clipboard and briefly confirms it on the button.
+ * @param {HTMLButtonElement} button - The block's copy button
+ */
+async function copySqlBlock(button) {
+    const sql = button.closest('.sql-block').dataset.sql;
+    let copied = true;
+
+    try {
+        await navigator.clipboard.writeText(sql);
+    } catch (error) {
+        // The Clipboard API needs a secure context, so fall back to a hidden textarea
+        const textarea = document.createElement('textarea');
+        textarea.value = sql;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        copied = document.execCommand('copy');
+        textarea.remove();
+    }
+
+    button.textContent = copied ? 'Copied' : 'Copy failed';
+    clearTimeout(button.resetTimer);
+    button.resetTimer = setTimeout(() => {
+        button.textContent = 'Copy';
+    }, 1500);
+}
+
+// Bundled sample tables the "Run query" action can query, by the name the agent used for them
+const SAMPLE_TABLES = {
+    'prod-all-customer.userbase-table': 'data/userbase-table.csv',
+    'typeform-survey.oct-2-2025-feedback-diagnostic-v1': 'data/typeform-survey-oct-2-2025-feedback-diagnostic-v1.csv'
+};
+
+// Most result rows shown in the grid
+const SQL_RESULT_ROW_LIMIT = 200;
+
+/**
+ * Parses CSV text into a table.
+ *
+ * Quoted fields may contain commas, line breaks and "" escapes. Numbers are
+ * read as numbers and empty fields as null.
+ *
+ * @param {string} text
+ * @returns {{columns: string[], rows: Object[]}}
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [columns = [], ...data] = records;
+    const rows = data
+        .filter(values => values.some(value => value !== ''))
+        .map(values => {
+            const row = {};
+            columns.forEach((column, index) => {
+                const value = values[index];
+                row[column] = value === undefined || value === '' ? null
+                    : /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+            });
+            return row;
+        });
+    return { columns, rows };
+}
+
+/**
+ * Writes rows of values as CSV text, quoting fields that need it.
+ * @param {Array<Array>} rows - The first row is usually the header
+ * @returns {string}
+ */
+function formatCsv(rows) {
+    return rows.map(values => values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Strips the quotes from a `quoted` or "quoted" SQL name.
+ * @param {string} text
+ * @returns {string}
+ */
+function unquoteSqlIdentifier(text) {
+    if (text.startsWith('`')) return text.replace(/^`|`$/g, '');
+    if (text.startsWith('"')) return text.replace(/^"|"$/g, '').replace(/""/g, '"');
+    return text;
+}
+
+// Operators that compare two values
+const SQL_COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>='];
+
+/**
+ * Parses a SELECT statement into a query tree for runSelect.
+ *
+ * Supports the SQL the agent's queries use: SELECT [DISTINCT] with expressions
+ * and aliases, FROM with [LEFT] JOIN ... ON, WHERE, GROUP BY, HAVING,
+ * ORDER BY, LIMIT and OFFSET. Errors say where the query stopped making sense.
+ */
+class SqlParser {
+    /**
+     * @param {string} sql
+     */
+    constructor(sql) {
+        this.sql = sql;
+        this.position = 0;
+
+        // Keep where each token starts, so result columns can be named after their SQL
+        this.tokens = [];
+        let offset = 0;
+        tokenizeSql(sql).forEach(token => {
+            if (token.type !== 'whitespace' && token.type !== 'comment') {
+                this.tokens.push({ ...token, upper: token.keyword || token.text.toUpperCase(), start: offset, end: offset + token.text.length });
+            }
+            offset += token.text.length;
+        });
+    }
+
+    peek() {
+        return this.tokens[this.position] || null;
+    }
+
+    next() {
+        return this.tokens[this.position++] || null;
+    }
+
+    /**
+     * Consumes the next token if it is the given keyword or symbol
+     * @param {string} text - e.g. 'FROM', 'GROUP BY', ','
+     * @returns {Object|null} The token, if it matched
+     */
+    accept(text) {
+        const token = this.peek();
+        if (token && token.type !== 'string' && token.type !== 'identifier' && token.upper === text) {
+            return this.next();
+        }
+        return null;
+    }
+
+    expect(text) {
+        const token = this.accept(text);
+        if (!token) throw this.error(`Expected ${text}`);
+        return token;
+    }
+
+    error(message) {
+        const token = this.peek();
+        return new Error(token ? `${message} near "${token.text}"` : `${message} at the end of the query`);
+    }
+
+    parse() {
+        if (!this.peek()) throw new Error('The query is empty');
+        const query = this.parseSelect();
+        this.accept(';');
+        if (this.peek()) throw this.error('Unexpected text');
+        return query;
+    }
+
+    parseSelect() {
+        if (!this.accept('SELECT')) throw this.error('Only SELECT queries can be run');
+
+        const query = {
+            distinct: !!this.accept('DISTINCT'),
+            columns: [],
+            from: null,
+            joins: [],
+            where: null,
+            groupBy: [],
+            having: null,
+            orderBy: [],
+            limit: null,
+            offset: 0
+        };
+
+        do {
+            query.columns.push(this.parseSelectItem());
+        } while (this.accept(','));
+
+        if (this.accept('FROM')) {
+            query.from = this.parseTableReference();
+            let type;
+            while ((type = this.acceptJoin())) {
+                const table = this.parseTableReference();
+                this.expect('ON');
+                query.joins.push({ type, ...table, on: this.parseExpression() });
+            }
+        }
+        if (this.accept('WHERE')) {
+            query.where = this.parseExpression();
+        }
+        if (this.accept('GROUP BY')) {
+            do {
+                query.groupBy.push(this.parseExpression());
+            } while (this.accept(','));
+        }
+        if (this.accept('HAVING')) {
+            query.having = this.parseExpression();
+        }
+        if (this.accept('ORDER BY')) {
+            do {
+                const expression = this.parseExpression();
+                const descending = !!this.accept('DESC');
+                if (!descending) this.accept('ASC');
+                query.orderBy.push({ expression, descending });
+            } while (this.accept(','));
+        }
+        if (this.accept('LIMIT')) {
+            query.limit = this.parseCount();
+        }
+        if (this.accept('OFFSET')) {
+            query.offset = this.parseCount();
+        }
+        return query;
+    }
+
+    parseSelectItem() {
+        const first = this.peek();
+        const expression = this.parseExpression();
+        const last = this.tokens[this.position - 1];
+
+        let alias = null;
+        if (this.accept('AS') || (this.peek() && this.peek().type === 'identifier')) {
+            const token = this.next();
+            if (!token || token.type !== 'identifier') throw this.error('Expected a column alias');
+            alias = unquoteSqlIdentifier(token.text);
+        }
+
+        const name = alias || (expression.type === 'column' ? expression.name : this.sql.slice(first.start, last.end));
+        return { expression, name };
+    }
+
+    /**
+     * @returns {'inner'|'left'|null} The kind of join, if the next token starts one
+     */
+    acceptJoin() {
+        const token = this.peek();
+        if (!token || token.type !== 'keyword' || !/JOIN$/.test(token.upper)) return null;
+        if (/^(RIGHT|FULL|CROSS)/.test(token.upper)) throw this.error(`${token.text} isn't supported`);
+        this.next();
+        return token.upper.startsWith('LEFT') ? 'left' : 'inner';
+    }
+
+    parseTableReference() {
+        const table = this.parseName();
+        this.accept('AS');
+        const aliasToken = this.peek();
+        const alias = aliasToken && aliasToken.type === 'identifier'
+            ? unquoteSqlIdentifier(this.next().text)
+            : table.split('.').pop();
+        return { table, alias };
+    }
+
+    parseName() {
+        const parts = [];
+        do {
+            const token = this.next();
+            if (!token || token.type !== 'identifier') {
+                this.position--;
+                throw this.error('Expected a table name');
+            }
+            parts.push(unquoteSqlIdentifier(token.text));
+        } while (this.accept('.'));
+        return parts.join('.');
+    }
+
+    parseCount() {
+        const token = this.next();
+        if (!token || token.type !== 'number' || !/^\d+$/.test(token.text)) {
+            this.position--;
+            throw this.error('Expected a whole number');
+        }
+        return Number(token.text);
+    }
+
+    parseExpression() {
+        return this.parseOr();
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.accept('OR')) {
+            left = { type: 'binary', operator: 'OR', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.accept('AND')) {
+            left = { type: 'binary', operator: 'AND', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.accept('NOT')) {
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const operand = this.parseAdditive();
+
+        if (this.accept('IS')) {
+            const negated = !!this.accept('NOT');
+            this.expect('NULL');
+            return { type: 'isNull', operand, negated };
+        }
+
+        const negated = !!this.accept('NOT');
+        if (this.accept('IN')) {
+            this.expect('(');
+            const list = [];
+            do {
+                list.push(this.parseExpression());
+            } while (this.accept(','));
+            this.expect(')');
+            return { type: 'in', operand, list, negated };
+        }
+        if (this.accept('BETWEEN')) {
+            const low = this.parseAdditive();
+            this.expect('AND');
+            return { type: 'between', operand, low, high: this.parseAdditive(), negated };
+        }
+        const like = this.accept('LIKE') || this.accept('ILIKE');
+        if (like) {
+            return { type: 'like', operand, pattern: this.parseAdditive(), negated, ignoreCase: like.upper === 'ILIKE' };
+        }
+        if (negated) throw this.error('Expected IN, BETWEEN or LIKE after NOT');
+
+        const token = this.peek();
+        if (token && token.type === 'operator' && SQL_COMPARISON_OPERATORS.includes(token.text)) {
+            this.next();
+            const operator = token.text === '<>' ? '!=' : token.text;
+            return { type: 'binary', operator, left: operand, right: this.parseAdditive() };
+        }
+        return operand;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        let token;
+        while ((token = this.peek()) && token.type === 'operator' && ['+', '-', '||'].includes(token.text)) {
+            this.next();
+            left = { type: 'binary', operator: token.text, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        let token;
+        while ((token = this.peek()) && token.type === 'operator' && ['*', '/', '%'].includes(token.text)) {
+            this.next();
+            left = { type: 'binary', operator: token.text, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (token && token.type === 'operator' && token.text === '-') {
+            this.next();
+            return { type: 'negate', operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) throw this.error('Expected a value');
+
+        if (token.type === 'number') {
+            this.next();
+            return { type: 'literal', value: Number(token.text) };
+        }
+        if (token.type === 'string') {
+            this.next();
+            return { type: 'literal', value: token.text.slice(1, -1).replace(/''/g, "'") };
+        }
+        if (this.accept('NULL')) return { type: 'literal', value: null };
+        if (this.accept('TRUE')) return { type: 'literal', value: true };
+        if (this.accept('FALSE')) return { type: 'literal', value: false };
+
+        if (this.accept('(')) {
+            const expression = this.parseExpression();
+            this.expect(')');
+            return expression;
+        }
+        if (this.accept('CASE')) return this.parseCase();
+        if (this.accept('CAST')) {
+            this.expect('(');
+            const operand = this.parseExpression();
+            this.expect('AS');
+            const typeToken = this.next();
+            if (!typeToken) throw this.error('Expected a type');
+            this.expect(')');
+            return { type: 'cast', operand, to: typeToken.upper };
+        }
+        if (token.type === 'function') {
+            this.next();
+            return this.parseCall(token.upper);
+        }
+        if (token.type === 'operator' && token.text === '*') {
+            this.next();
+            return { type: 'star', table: null };
+        }
+        if (token.type === 'identifier') {
+            // A column, possibly with its table: name, table.name or table.*
+            const parts = [unquoteSqlIdentifier(this.next().text)];
+            while (this.accept('.')) {
+                if (this.accept('*')) return { type: 'star', table: parts.join('.') };
+                const part = this.next();
+                if (!part || part.type !== 'identifier') throw this.error('Expected a column name');
+                parts.push(unquoteSqlIdentifier(part.text));
+            }
+            return { type: 'column', table: parts.slice(0, -1).join('.') || null, name: parts[parts.length - 1] };
+        }
+        throw this.error('Expected a value');
+    }
+
+    parseCall(name) {
+        this.expect('(');
+        if (name === 'COUNT' && this.accept('*')) {
+            this.expect(')');
+            return { type: 'call', name, args: [], star: true };
+        }
+
+        const distinct = !!this.accept('DISTINCT');
+        const args = [];
+        if (!this.accept(')')) {
+            do {
+                args.push(this.parseExpression());
+            } while (this.accept(','));
+            this.expect(')');
+        }
+        return { type: 'call', name, args, distinct };
+    }
+
+    parseCase() {
+        const operand = this.peek() && this.peek().upper !== 'WHEN' ? this.parseExpression() : null;
+        const branches = [];
+        while (this.accept('WHEN')) {
+            const when = this.parseExpression();
+            this.expect('THEN');
+            branches.push({ when, then: this.parseExpression() });
+        }
+        if (branches.length === 0) throw this.error('Expected WHEN');
+        const otherwise = this.accept('ELSE') ? this.parseExpression() : null;
+        this.expect('END');
+        return { type: 'case', operand, branches, otherwise };
+    }
+}
+
+/**
+ * Orders two SQL values: numbers by size, everything else as text. NULL sorts last.
+ * @returns {number} Negative, zero or positive
+ */
+function compareSqlValues(a, b) {
+    if (a === null || b === null) {
+        return (a === null) - (b === null);
+    }
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if ((typeof a === 'number' || typeof b === 'number') && !isNaN(numberA) && !isNaN(numberB)) {
+        return numberA - numberB;
+    }
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+/**
+ * Turns a list of non-null values into a number, or null if there are none.
+ */
+function sqlAggregate(reduce) {
+    return values => values.length === 0 ? null : reduce(values.map(Number));
+}
+
+/**
+ * Sample variance (n - 1), or population variance when `population` is true
+ */
+function sqlVariance(values, population = false) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const squares = values.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+    const divisor = population ? values.length : values.length - 1;
+    return divisor > 0 ? squares / divisor : null;
+}
+
+// Functions that summarise a group of rows. They're given the non-null values.
+const SQL_AGGREGATES = {
+    COUNT: values => values.length,
+    SUM: sqlAggregate(values => values.reduce((sum, value) => sum + value, 0)),
+    AVG: sqlAggregate(values => values.reduce((sum, value) => sum + value, 0) / values.length),
+    MIN: values => values.length === 0 ? null : values.reduce((min, value) => compareSqlValues(value, min) < 0 ? value : min),
+    MAX: values => values.length === 0 ? null : values.reduce((max, value) => compareSqlValues(value, max) > 0 ? value : max),
+    STDDEV: sqlAggregate(values => Math.sqrt(sqlVariance(values))),
+    STDDEV_SAMP: sqlAggregate(values => Math.sqrt(sqlVariance(values))),
+    STDDEV_POP: sqlAggregate(values => Math.sqrt(sqlVariance(values, true))),
+    VARIANCE: sqlAggregate(values => sqlVariance(values))
+};
+
+// Functions applied to each row. Most give NULL for a NULL input.
+const SQL_FUNCTIONS_BY_NAME = {
+    LOWER: value => value === null ? null : String(value).toLowerCase(),
+    UPPER: value => value === null ? null : String(value).toUpperCase(),
+    LENGTH: value => value === null ? null : String(value).length,
+    ABS: value => value === null ? null : Math.abs(value),
+    ROUND: (value, digits = 0) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits,
+    SUBSTR: (value, start, length) => value === null ? null : String(value).substr(start - 1, length),
+    DATE: value => value === null ? null : String(value).slice(0, 10),
+    COALESCE: (...values) => values.find(value => value !== null) ?? null,
+    NULLIF: (a, b) => compareSqlValues(a, b) === 0 ? null : a
+};
+
+/**
+ * Does an expression use an aggregate function like COUNT() or AVG()?
+ * @param {Object} node - Any part of a query tree
+ * @returns {boolean}
+ */
+function containsAggregate(node) {
+    if (!node || typeof node !== 'object') return false;
+    if (Array.isArray(node)) return node.some(containsAggregate);
+    if (node.type === 'call' && node.name in SQL_AGGREGATES) return true;
+    return Object.values(node).some(containsAggregate);
+}
+
+/**
+ * Reads a column for the current row.
+ * @param {Object} node - A 'column' node
+ * @param {Object} context - See evaluateSql
+ */
+function readSqlColumn(node, context) {
+    const { row, output } = context;
+
+    // ORDER BY can use the names given in the SELECT list
+    if (!node.table && output && Object.hasOwn(output, node.name)) return output[node.name];
+
+    // An empty group has no rows to read from
+    if (!row) return null;
+
+    if (node.table) {
+        if (!Object.hasOwn(row, node.table)) throw new Error(`Unknown table "${node.table}"`);
+        if (!Object.hasOwn(row[node.table], node.name)) throw new Error(`Unknown column "${node.table}.${node.name}"`);
+        return row[node.table][node.name];
+    }
+
+    const aliases = Object.keys(row).filter(alias => Object.hasOwn(row[alias], node.name));
+    if (aliases.length === 0) throw new Error(`Unknown column "${node.name}"`);
+    if (aliases.length > 1) throw new Error(`Column "${node.name}" is in more than one table, add the table name`);
+    return row[aliases[0]][node.name];
+}
+
+/**
+ * Evaluates an expression from a query tree.
+ * @param {Object} node - The expression
+ * @param {Object} context - { row, group, output }: the row (table alias -> values),
+ *   the group it belongs to when aggregating, and the SELECT values when ordering
+ * @returns {*} The value, with null for SQL NULL
+ */
+function evaluateSql(node, context) {
+    const evaluate = child => evaluateSql(child, context);
+
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'column':
+            return readSqlColumn(node, context);
+        case 'star':
+            throw new Error('* can only be used in the SELECT list or in COUNT(*)');
+        case 'negate': {
+            const value = evaluate(node.operand);
+            return value === null ? null : -value;
+        }
+        case 'not': {
+            const value = evaluate(node.operand);
+            return value === null ? null : !value;
+        }
+        case 'isNull': {
+            const isNull = evaluate(node.operand) === null;
+            return node.negated ? !isNull : isNull;
+        }
+        case 'in': {
+            const value = evaluate(node.operand);
+            if (value === null) return null;
+            const found = node.list.some(item => {
+                const itemValue = evaluate(item);
+                return itemValue !== null && compareSqlValues(value, itemValue) === 0;
+            });
+            return node.negated ? !found : found;
+        }
+        case 'between': {
+            const value = evaluate(node.operand);
+            const low = evaluate(node.low);
+            const high = evaluate(node.high);
+            if (value === null || low === null || high === null) return null;
+            const inside = compareSqlValues(value, low) >= 0 && compareSqlValues(value, high) <= 0;
+            return node.negated ? !inside : inside;
+        }
+        case 'like': {
+            const value = evaluate(node.operand);
+            const pattern = evaluate(node.pattern);
+            if (value === null || pattern === null) return null;
+            const source = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+            const matches = new RegExp(`^${source}$`, node.ignoreCase ? 'is' : 's').test(String(value));
+            return node.negated ? !matches : matches;
+        }
+        case 'case': {
+            const operand = node.operand ? evaluate(node.operand) : null;
+            for (const branch of node.branches) {
+                const when = evaluate(branch.when);
+                const matches = node.operand
+                    ? operand !== null && when !== null && compareSqlValues(operand, when) === 0
+                    : Boolean(when);
+                if (matches) return evaluate(branch.then);
+            }
+            return node.otherwise ? evaluate(node.otherwise) : null;
+        }
+        case 'cast': {
+            const value = evaluate(node.operand);
+            if (value === null) return null;
+            if (/^(INT|INTEGER|BIGINT|INT64)$/.test(node.to)) return Math.trunc(Number(value));
+            if (/^(FLOAT|FLOAT64|DOUBLE|REAL|NUMERIC|DECIMAL)$/.test(node.to)) return Number(value);
+            return String(value);
+        }
+        case 'call':
+            return callSqlFunction(node, context);
+        case 'binary':
+            return evaluateSqlBinary(node, context);
+        default:
+            throw new Error(`Can't evaluate ${node.type}`);
+    }
+}
+
+/**
+ * Evaluates AND/OR, comparisons and arithmetic, following SQL's NULL rules.
+ */
+function evaluateSqlBinary(node, context) {
+    const left = evaluateSql(node.left, context);
+
+    if (node.operator === 'AND' || node.operator === 'OR') {
+        const right = evaluateSql(node.right, context);
+        const [decisive, other] = node.operator === 'AND' ? [false, true] : [true, false];
+        if (left === decisive || right === decisive) return decisive;
+        if (left === null || right === null) return null;
+        return Boolean(left) === decisive || Boolean(right) === decisive ? decisive : other;
+    }
+
+    const right = evaluateSql(node.right, context);
+    if (left === null || right === null) return null;
+
+    switch (node.operator) {
+        case '=': return compareSqlValues(left, right) === 0;
+        case '!=': return compareSqlValues(left, right) !== 0;
+        case '<': return compareSqlValues(left, right) < 0;
+        case '<=': return compareSqlValues(left, right) <= 0;
+        case '>': return compareSqlValues(left, right) > 0;
+        case '>=': return compareSqlValues(left, right) >= 0;
+        case '||': return String(left) + String(right);
+        case '+': return Number(left) + Number(right);
+        case '-': return Number(left) - Number(right);
+        case '*': return Number(left) * Number(right);
+        case '/': return Number(right) === 0 ? null : Number(left) / Number(right);
+        case '%': return Number(right) === 0 ? null : Number(left) % Number(right);
+        default: throw new Error(`Unknown operator ${node.operator}`);
+    }
+}
+
+/**
+ * Calls an aggregate or per-row function.
+ */
+function callSqlFunction(node, context) {
+    if (node.name in SQL_AGGREGATES) {
+        if (!context.group) throw new Error(`${node.name}() can't be used here`);
+        if (node.star) return context.group.length;
+        if (node.args.length !== 1) throw new Error(`${node.name}() takes one value`);
+
+        let values = context.group
+            .map(row => evaluateSql(node.args[0], { row }))
+            .filter(value => value !== null);
+        if (node.distinct) values = [...new Set(values)];
+        return SQL_AGGREGATES[node.name](values);
+    }
+
+    const fn = SQL_FUNCTIONS_BY_NAME[node.name];
+    if (!fn) throw new Error(`Unknown function ${node.name}()`);
+    return fn(...node.args.map(arg => evaluateSql(arg, context)));
+}
+
+/**
+ * Runs a parsed SELECT against loaded tables.
+ * @param {Object} query - From SqlParser
+ * @param {Object} tables - Table alias -> { columns, rows }
+ * @returns {{columns: string[], rows: Array[]}}
+ */
+function runSelect(query, tables) {
+    const sources = [query.from, ...query.joins].filter(Boolean);
+
+    // Each row maps table alias -> that table's values, so joined rows keep their tables apart
+    let rows = [{}];
+    if (query.from) {
+        rows = tables[query.from.alias].rows.map(row => ({ [query.from.alias]: row }));
+    }
+    query.joins.forEach(join => {
+        const joinTable = tables[join.alias];
+        const emptyRow = Object.fromEntries(joinTable.columns.map(column => [column, null]));
+        rows = rows.flatMap(row => {
+            const matches = joinTable.rows
+                .map(joinRow => ({ ...row, [join.alias]: joinRow }))
+                .filter(combined => evaluateSql(join.on, { row: combined }) === true);
+            if (matches.length === 0 && join.type === 'left') {
+                return [{ ...row, [join.alias]: emptyRow }];
+            }
+            return matches;
+        });
+    });
+
+    if (query.where) {
+        rows = rows.filter(row => Boolean(evaluateSql(query.where, { row })));
+    }
+
+    // Work out the result columns, expanding * into every column of its tables
+    const columns = [];
+    query.columns.forEach(item => {
+        if (item.expression.type !== 'star') {
+            columns.push({ name: item.name, expression: item.expression });
+            return;
+        }
+        const aliases = item.expression.table ? [item.expression.table] : sources.map(source => source.alias);
+        if (aliases.length === 0) throw new Error('SELECT * needs a FROM table');
+        aliases.forEach(alias => {
+            if (!Object.hasOwn(tables, alias)) throw new Error(`Unknown table "${alias}"`);
+            tables[alias].columns.forEach(column => {
+                const taken = columns.some(existing => existing.name === column);
+                columns.push({ name: taken ? `${alias}.${column}` : column, expression: { type: 'column', table: alias, name: column } });
+            });
+        });
+    });
+
+    // Rows become groups when the query aggregates
+    let contexts;
+    const expressions = [...columns.map(column => column.expression), query.having, ...query.orderBy];
+    if (query.groupBy.length > 0 || expressions.some(containsAggregate)) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = JSON.stringify(query.groupBy.map(expression => evaluateSql(expression, { row })));
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+        // Aggregating without GROUP BY always gives one row, even with no input
+        if (groups.size === 0 && query.groupBy.length === 0) groups.set('[]', []);
+
+        contexts = [...groups.values()].map(group => ({ row: group[0], group }));
+        if (query.having) {
+            contexts = contexts.filter(context => Boolean(evaluateSql(query.having, context)));
+        }
+    } else {
+        contexts = rows.map(row => ({ row }));
+    }
+
+    let results = contexts.map(context => ({
+        context,
+        values: columns.map(column => evaluateSql(column.expression, context))
+    }));
+
+    if (query.distinct) {
+        const seen = new Set();
+        results = results.filter(result => {
+            const key = JSON.stringify(result.values);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    if (query.orderBy.length > 0) {
+        const keyed = results.map(result => {
+            const output = Object.fromEntries(columns.map((column, index) => [column.name, result.values[index]]));
+            const keys = query.orderBy.map(({ expression }) =>
+                // ORDER BY 2 means the second column
+                expression.type === 'literal' && typeof expression.value === 'number'
+                    ? result.values[expression.value - 1]
+                    : evaluateSql(expression, { ...result.context, output }));
+            return { result, keys };
+        });
+        keyed.sort((a, b) => {
+            for (let i = 0; i < query.orderBy.length; i++) {
+                const order = compareSqlValues(a.keys[i], b.keys[i]);
+                if (order !== 0) return query.orderBy[i].descending ? -order : order;
+            }
+            return 0;
+        });
+        results = keyed.map(item => item.result);
+    }
+
+    const end = query.limit === null ? undefined : query.offset + query.limit;
+    return {
+        columns: columns.map(column => column.name),
+        rows: results.slice(query.offset, end).map(result => result.values)
+    };
+}
+
+/**
+ * The bundled sample tables, loaded on first use and queried with SQL.
+ */
+class SampleDatabase {
+    /**
+     * @param {Object} tables - Table name -> CSV file URL
+     */
+    constructor(tables) {
+        this.tables = tables;
+        this.loaded = new Map(); // Table name -> Promise of { columns, rows }
+    }
+
+    /**
+     * Finds a table by its full name, or by the part after the dataset
+     * @param {string} name
+     * @returns {string} The full table name
+     */
+    resolve(name) {
+        if (Object.hasOwn(this.tables, name)) return name;
+        const match = Object.keys(this.tables).find(fullName => fullName.split('.').pop() === name);
+        if (!match) throw new Error(`There is no sample table called "${name}"`);
+        return match;
+    }
+
+    /**
+     * Loads a table's CSV file
+     * @param {string} name
+     * @returns {Promise<{columns: string[], rows: Object[]}>}
+     */
+    load(name) {
+        const fullName = this.resolve(name);
+        if (!this.loaded.has(fullName)) {
+            const url = this.tables[fullName];
+            const table = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`${response.status}`);
+                    return response.text();
+                })
+                .then(parseCsv)
+                .catch(error => {
+                    // Let the next run try again
+                    this.loaded.delete(fullName);
+                    console.error(`Loading ${url} failed:`, error);
+                    throw new Error(`Couldn't load the sample data for "${fullName}". ` +
+                        'Sample data needs the prototype to be served, e.g. with `node mock-server.js`.');
+                });
+            this.loaded.set(fullName, table);
+        }
+        return this.loaded.get(fullName);
+    }
+
+    /**
+     * Runs a SELECT query
+     * @param {string} sql
+     * @returns {Promise<{columns: string[], rows: Array[]}>}
+     */
+    async query(sql) {
+        const query = new SqlParser(sql).parse();
+
+        const tables = {};
+        for (const source of [query.from, ...query.joins].filter(Boolean)) {
+            if (Object.hasOwn(tables, source.alias)) throw new Error(`Two tables are called "${source.alias}", give one an alias`);
+            tables[source.alias] = await this.load(source.table);
+        }
+        return runSelect(query, tables);
+    }
+}
+
+const sampleDatabase = new SampleDatabase(SAMPLE_TABLES);
+
+/**
+ * Formats one value for the results grid.
+ * @param {*} value
+ * @returns {string} HTML
+ */
+function formatSqlValue(value) {
+    if (value === null) return '<span class="sql-results-null">NULL</span>';
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+    return escapeHtml(String(value));
+}
+
+/**
+ * Renders query results as a grid.
+ * @param {{columns: string[], rows: Array[]}} result
+ * @returns {string}
+ */
+function renderSqlResults({ columns, rows }) {
+    if (rows.length === 0) {
+        return '<p class="sql-results-empty">The query returned no rows.</p>';
+    }
+
+    const head = columns.map(column => `<th scope="col">${escapeHtml(column)}</th>`).join('');
+    const body = rows.slice(0, SQL_RESULT_ROW_LIMIT).map(row =>
+        `<tr>${row.map(value => `<td${typeof value === 'number' ? ' class="sql-results-number"' : ''}>${formatSqlValue(value)}</td>`).join('')}</tr>`
+    ).join('');
+    const more = rows.length > SQL_RESULT_ROW_LIMIT
+        ? `<p class="sql-results-more">Showing the first ${SQL_RESULT_ROW_LIMIT} of ${rows.length} rows.</p>`
+        : '';
+
+    return `<div class="sql-results-scroll"><table class="sql-results-table">` +
+        `<thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>${more}`;
+}
+
+/**
+ * Opens the query runner under a SQL block and runs the block's query.
+ * The runner has an editable copy of the query, so it can be tweaked and re-run.
+ * @param {HTMLElement} block - The .sql-block
+ */
+function openSqlRunner(block) {
+    let runner = block.querySelector('.sql-runner');
+    if (!runner) {
+        runner = document.createElement('div');
+        runner.className = 'sql-runner';
+        runner.innerHTML = `
+            <textarea class="sql-editor" spellcheck="false" aria-label="Query to run"></textarea>
+            <div class="sql-runner-actions">
+                <button type="button" class="sql-runner-run">Run</button>
+                <button type="button" class="sql-runner-reset">Reset</button>
+                <span class="sql-runner-status" role="status"></span>
+            </div>
+            <div class="sql-results"></div>`;
+        const editor = runner.querySelector('.sql-editor');
+        editor.value = block.dataset.sql;
+        editor.rows = Math.min(12, block.dataset.sql.split('\n').length + 1);
+        block.appendChild(runner);
+
+        // The runner has its own Run button from now on
+        const runButton = block.querySelector('.sql-run-button');
+        if (runButton) runButton.remove();
+    }
+    runSqlRunner(runner);
+}
+
+/**
+ * Runs the query in a runner's editor against the sample tables and shows the results.
+ * @param {HTMLElement} runner - The .sql-runner
+ */
+async function runSqlRunner(runner) {
+    const status = runner.querySelector('.sql-runner-status');
+    const results = runner.querySelector('.sql-results');
+    const sql = runner.querySelector('.sql-editor').value;
+
+    status.textContent = 'Running...';
+    const started = performance.now();
+    try {
+        const result = await sampleDatabase.query(sql);
+        const elapsed = Math.round(performance.now() - started);
+        results.innerHTML = renderSqlResults(result);
+        status.textContent = `${result.rows.length} ${result.rows.length === 1 ? 'row' : 'rows'} · ${elapsed} ms on sample data`;
+    } catch (error) {
+        results.innerHTML = `<p class="sql-error">${escapeHtml(error.message)}</p>`;
+        status.textContent = 'The query failed';
+    }
+}
+
+// Charts drawn in the modal, removed when it shows another answer
+let modalCharts = [];
+
+// Query lines shown in a citation's hover preview
+const CITATION_PREVIEW_LINES = 8;
+
+/**
+ * Draws the chart for every statistics section in the modal.
+ * @param {Object} provenance - What the modal is showing
+ */
+function mountModalCharts(provenance) {
+    modalCharts.forEach(chart => chart.destroy());
+    modalCharts = [];
+    if (!provenance) return;
+
+    document.querySelectorAll('#processModal .modal-expander').forEach(expander => {
+        const container = expander.querySelector('.graph-container');
+        const section = provenance.sections[Number(expander.dataset.sectionIndex)];
+        if (container && section && section.statistics) {
+            const result = analyseStatistics(section.statistics);
+            modalCharts.push(new Chart(container, buildAbTestChart(section.statistics, result)));
+        }
+    });
+}
+
+// Where focus goes back to when the modal closes (what opened it)
+let modalReturnFocus = null;
+
+/**
+ * Opens the process modal, showing how an answer was reached.
+ * Focus moves into it, and goes back to what opened it on close.
+ * @param {Object} [turn] - The AI answer being verified
+ * @param {string} [citationId] - A citation to expand and scroll to
+ */
+function openModal(turn, citationId) {
+    const modal = document.getElementById('processModal');
+    if (!modal) return;
+
+    // Showing another answer (or citation) while open keeps the original opener
+    const wasOpen = modal.style.display === 'flex';
+    if (!wasOpen) modalReturnFocus = document.activeElement;
+
+    const provenance = turn ? turn.provenance : null;
+    const modalBody = modal.querySelector('.modal-body');
+    modalBody.innerHTML = (turn ? '<div class="claims-check" aria-live="polite"><p class="modal-note">Checking the figures in this answer...</p></div>' : '') +
+        renderProvenance(provenance);
+    modalBody.dataset.turnId = turn ? turn.id : '';
+    modal.style.display = 'flex';  // Show the modal
+    mountModalCharts(provenance);
+    if (!wasOpen) modal.querySelector('.modal-content').focus();
+
+    // Claims are checked in the background (queries may need to load their tables)
+    if (turn) {
+        checkClaims(turn).then(check => {
+            const claimsCheck = modalBody.querySelector('.claims-check');
+            if (claimsCheck && modalBody.dataset.turnId === turn.id) claimsCheck.innerHTML = renderClaims(check);
+        });
+    }
+
+    if (citationId) revealCitation(provenance, citationId);
+}
+
+/**
+ * Finds a citation in an answer's provenance.
+ * @param {Object} [provenance]
+ * @param {string} id
+ * @returns {Object|null} The citation, or null if the answer doesn't list it
+ */
+function findCitation(provenance, id) {
+    const citations = provenance && Array.isArray(provenance.citations) ? provenance.citations : [];
+    const citation = citations.find(candidate => String(candidate.id) === String(id));
+    return citation && provenance.sections && provenance.sections[citation.section] ? citation : null;
+}
+
+/**
+ * Finds the element a citation points at inside its modal expander.
+ * @param {HTMLElement} expander
+ * @param {Object} citation
+ * @returns {HTMLElement}
+ */
+function findCitationTarget(expander, citation) {
+    let target = null;
+    if (citation.query !== undefined) {
+        target = expander.querySelector(`.sql-block[data-query-index="${Number(citation.query)}"]`);
+    } else if (citation.statistics) {
+        target = expander.querySelector('.modal-statistics');
+    } else if (citation.source) {
+        target = [...expander.querySelectorAll('.modal-source')].find(source => source.dataset.sourceTable === citation.source);
+    }
+    return target || expander;
+}
+
+/**
+ * Expands the expander a citation points into and scrolls its evidence into view.
+ * @param {Object} provenance
+ * @param {string} citationId
+ */
+function revealCitation(provenance, citationId) {
+    const citation = findCitation(provenance, citationId);
+    if (!citation) return;
+
+    const expander = document.querySelector(`#processModal .modal-expander[data-section-index="${citation.section}"]`);
+    if (!expander) return;
+    setExpanderExpanded(expander, true);
+    const target = findCitationTarget(expander, citation);
+
+    let revealed = false;
+    const reveal = () => {
+        if (revealed) return;
+        revealed = true;
+        target.scrollIntoView({ behavior: motion.reduced ? 'auto' : 'smooth', block: 'center' });
+        target.classList.add('citation-target');
+        setTimeout(() => target.classList.remove('citation-target'), motion.duration(1600));
+    };
+
+    // Scroll once the expander has opened, so the target is where it will stay
+    expander.querySelector('.modal-expander-content').addEventListener('transitionend', reveal, { once: true });
+    setTimeout(reveal, motion.duration(350));
+}
+
+/**
+ * Renders the hover preview of a citation: the query, table or test it points at.
+ * @param {Object} provenance
+ * @param {Object} citation - See renderProvenance
+ * @returns {string}
+ */
+function renderCitationPreview(provenance, citation) {
+    const section = provenance.sections[citation.section];
+    let body = '';
+
+    const query = citation.query !== undefined && section.queries ? section.queries[citation.query] : null;
+    if (query) {
+        const lines = highlightSql(formatSql(query.sql));
+        const shown = lines.slice(0, CITATION_PREVIEW_LINES).join('\n') + (lines.length > CITATION_PREVIEW_LINES ? '\n…' : '');
+        body = `<span class="table-link">${escapeHtml(query.table)}</span>` +
+            `<pre class="sql-code"><code>${shown}</code></pre>`;
+    } else if (citation.statistics && section.statistics) {
+        const { method = 'z-test for difference in means', unit, groups } = section.statistics;
+        try {
+            const result = analyseStatistics(section.statistics);
+            body = `<p>${escapeHtml(`${method}: Group ${groups[1].name} differs from Group ${groups[0].name} by ` +
+                `${formatStatistic(result.difference)} ${unit} (p-value ${formatPValue(result.pValue)}).`)}</p>`;
+        } catch (error) {
+            body = `<p>${escapeHtml(method)}</p>`;
+        }
+    } else if (citation.source) {
+        const source = (section.sources || []).find(candidate => candidate.table === citation.source);
+        body = `<p>${escapeHtml((source && source.description) || 'I queried the table')}</p>` +
+            `<span class="table-link">${escapeHtml(citation.source)}</span>`;
+    }
+
+    return `<div class="citation-preview-title">${escapeHtml(section.title || 'My process')}</div>${body}` +
+        '<div class="citation-preview-hint">Click to open it in "Verify truth"</div>';
+}
+
+/**
+ * Close the modal dialog
+ */
+function closeModal() {
+    const modal = document.getElementById('processModal');
+    if (modal && modal.style.display === 'flex') {
+        modal.style.display = 'none';  // Hide the modal
+
+        // Back to what opened it, or the chat input if that's gone (e.g. opened from a link)
+        const returnFocus = modalReturnFocus && modalReturnFocus.isConnected && modalReturnFocus !== document.body
+            ? modalReturnFocus
+            : document.getElementById('chatInput');
+        modalReturnFocus = null;
+        if (returnFocus) returnFocus.focus();
+    }
+
+    // Leave the verify URL, without adding a history entry
+    if (/\/verify(\/|$)/.test(router.path)) {
+        router.navigate(getConversationPath(activeConversation), { replace: true });
+    }
+}
+
+/**
+ * Minimal hash router: maps `#/path` URLs to handlers.
+ *
+ * Hash URLs work on any static host (and from file://) without server rewrites,
+ * and the browser's back/forward buttons move between them for free.
+ */
+class HashRouter {
+    constructor() {
+        this.routes = [];          // [{ segments, handler }]
+        this.listeners = [];       // Called with the path whenever it changes
+        this.notFound = null;      // Handler for paths that match no route
+        this.silentPath = null;    // A path we navigated to without running its handler
+    }
+
+    /**
+     * Register a route, e.g. router.on('/chat/:id', ({ id }) => ...)
+     * @param {string} pattern - Path where `:name` segments become params
+     * @param {Function} handler - Receives the params object
+     */
+    on(pattern, handler) {
+        this.routes.push({ segments: pattern.split('/').filter(Boolean), handler });
+        return this;
+    }
+
+    /**
+     * Register a listener for every path change (including silent ones)
+     * @param {Function} listener - Receives the new path
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * The current path, e.g. '/chat/abc'
+     */
+    get path() {
+        return window.location.hash.replace(/^#/, '') || '/';
+    }
+
+    /**
+     * Find the route matching a path
+     * @returns {{handler: Function, params: Object}|null}
+     */
+    match(path) {
+        const segments = path.split('/').filter(Boolean);
+
+        for (const route of this.routes) {
+            if (route.segments.length !== segments.length) continue;
+
+            const params = {};
+            const matches = route.segments.every((segment, i) => {
+                if (segment.startsWith(':')) {
+                    // Badly escaped params (e.g. '%E0') don't match, so they go to notFound
+                    const value = decodePathSegment(segments[i]);
+                    if (value === null) return false;
+                    params[segment.slice(1)] = value;
+                    return true;
+                }
+                return segment === segments[i];
+            });
+
+            if (matches) return { handler: route.handler, params };
+        }
+        return null;
+    }
+
+    /**
+     * Start listening for URL changes and handle the current one
+     */
+    start() {
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    }
+
+    /**
+     * Run the handler for the current path
+     */
+    resolve() {
+        const path = this.path;
+        this.listeners.forEach(listener => listener(path));
+
+        if (path === this.silentPath) {
+            this.silentPath = null;
+            return;
+        }
+
+        const route = this.match(path);
+        if (route) {
+            route.handler(route.params);
+        } else if (this.notFound) {
+            this.notFound(path);
+        }
+    }
+
+    /**
+     * Go to a path
+     * @param {string} path
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+     * @param {boolean} [options.silent] - Only update the URL, don't run the route handler
+     */
+    navigate(path, { replace = false, silent = false } = {}) {
+        if (path === this.path) {
+            if (!silent) this.resolve();
+            return;
+        }
+
+        if (replace) {
+            // replaceState doesn't fire hashchange, so resolve ourselves
+            history.replaceState(history.state, '', `#${path}`);
+            if (silent) {
+                this.listeners.forEach(listener => listener(path));
+            } else {
+                this.resolve();
+            }
+            return;
+        }
+
+        if (silent) this.silentPath = path;
+        window.location.hash = path;
+    }
+}
+
+const router = new HashRouter();
+
+/**
+ * Decodes one segment of a path
+ * @param {string} segment
+ * @returns {string|null} null if it isn't validly escaped
+ */
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Shows the conversation for a chat route.
+ * @param {Object} params - Route params: id, turnId for a specific message, and
+ *   citationId for the evidence behind one of its citations
+ * @param {'chat'|'verify'|'message'} mode - Just show the chat, open "My Process"
+ *   for an answer, or jump to a message
+ */
+async function showChatRoute({ id, turnId, citationId }, mode) {
+    const opened = await openConversation(id);
+    if (!opened) {
+        if (replyInProgress) {
+            // Stay on the chat that's replying, and put its URL back
+            router.navigate(getConversationPath(activeConversation), { replace: true, silent: true });
+        } else {
+            router.navigate('/', { replace: true });
+        }
+        return;
+    }
+
+    if (mode === 'chat') {
+        closeModal();
+        return;
+    }
+
+    if (mode === 'message') {
+        closeModal();
+        jumpToMessage(turnId);
+        return;
+    }
+
+    // Verify a specific answer, or the latest one
+    const turn = turnId ? activeConversation.getTurn(turnId) : activeConversation.getLastAiTurn();
+    if (turn && turn.role === 'ai') {
+        openModal(turn, citationId);
+    } else {
+        router.navigate(getConversationPath(activeConversation), { replace: true });
+    }
+}
+
+// True while the AI is working on a reply (the input is locked until it's done)
+let replyInProgress = false;
+
+// Aborts everything tied to the latest reply (request, animations, scrolling)
+let replyController = null;
+
+/**
+ * Initializes application logic on load.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    // Find the main elements we need
+    const chatInput = document.getElementById('chatInput');
+    const submitButton = document.getElementById('submitButton');
+    const stopButton = document.getElementById('stopButton');
+    const pixelCharacter = document.getElementById('pixelCharacter');
+
+    // Safety check: Make sure all required elements exist
+    if (!chatInput || !submitButton || !pixelCharacter) {
+        console.error('Required elements not found');
+        return;
+    }
+
+    // ========================================
+    // THEME
+    // ========================================
+    // Light, dark or the system's choice, picked in the account panel
+    theme.init();
+    const themeSelect = document.getElementById('themeSelect');
+    if (themeSelect) {
+        initSettingSelect(themeSelect, theme.preference, preference => theme.setPreference(preference));
+    }
+
+    // ========================================
+    // MOTION SETTINGS
+    // ========================================
+    // Follow the system's reduced motion setting, and the speed picked in the account panel
+    motion.init();
+    const motionSpeedSelect = document.getElementById('motionSpeedSelect');
+    const motionHint = document.getElementById('motionHint');
+    if (motionSpeedSelect && motionHint) {
+        initSettingSelect(motionSpeedSelect, motion.speed, speed => motion.setSpeed(speed));
+
+        // Explain why nothing moves when the system turned animations off
+        const updateMotionHint = () => { motionHint.hidden = !motion.systemReduced; };
+        motion.onChange(updateMotionHint);
+        updateMotionHint();
+    }
+
+    // Remember the intro text so it can come back for new chats
+    const introText = document.getElementById('introText');
+    if (introText) {
+        introText.dataset.text = introText.textContent;
+    }
+
+    // ========================================
+    // CHARACTER TRACKING SETUP
+    // ========================================
+    // Animate the character from its pack, and have it respond to cursor position
+    character.attach(pixelCharacter);
+    const characterPackUrl = new URLSearchParams(window.location.search).get('character') || AGENT_CONFIG.characterPack;
+    loadCharacterPack(characterPackUrl).then(pack => character.setPack(pack));
+    new CharacterTracker(character, chatInput);
+
+    // ========================================
     // SUBMIT BUTTON STATE
     // ========================================
     /**
      * Enable/disable the submit button based on whether there's text
      * 
-     * The button is disabled (grayed out) when the input is empty
+     * The button is disabled (grayed out) when the input is empty,
+     * and swapped for the stop button while a reply is in progress
      */
     function updateSubmitButton() {
-        if (messageSubmitted) {
+        if (stopButton) {
+            stopButton.hidden = !replyInProgress;
+            submitButton.hidden = replyInProgress;
+        }
+        if (activeConversation.readOnly) {
             submitButton.disabled = true;
             chatInput.disabled = true;
-            chatInput.placeholder = "You cannot type now. Refresh the website to revisit from the start";
+            chatInput.placeholder = "This chat was imported read-only";
+            return;
+        }
+        if (replyInProgress) {
+            submitButton.disabled = true;
+            chatInput.disabled = true;
+            chatInput.placeholder = "DataSage is replying...";
             return;
         }
         const hasText = chatInput.value.trim().length > 0;
         submitButton.disabled = !hasText;
         chatInput.disabled = false;
-        chatInput.placeholder = "Type your message... (The final message will be auto generated for the prototype)";
+        chatInput.placeholder = "Type your message...";
     }
 
     // ========================================
     // MESSAGE SUBMISSION HANDLER
     // ========================================
     /**
-     * Handle when the user submits a message
-     * 
-     * Note: The actual message is ignored and replaced with a hardcoded one
-     * This is because the demo has a pre-scripted conversation
+     * Handle when the user submits a message
+     * 
+     * The message is shown in the chat and sent to the configured agent backend
+     */
+    async function handleSubmit() {
+        // Wait for the current reply before accepting another message,
+        // and don't add to chats imported read-only
+        if (replyInProgress || activeConversation.readOnly) {
+            return;
+        }
+
+        const message = chatInput.value.trim();
+        if (message) {
+            // Earlier turns are sent along as context
+            const history = activeConversation.toHistory();
+
+            // Add the user's message to the chat
+            const userMessage = addMessage('user', message);
+            const userTurn = activeConversation.addTurn({ role: 'user', content: message, format: 'text' });
+            userMessage.dataset.turnId = userTurn.id;
+            saveActiveConversation();
+
+            // New chats get their own URL once they have a message
+            router.navigate(getConversationPath(activeConversation), { replace: true, silent: true });
+
+            // Clear the input field
+            chatInput.value = '';
+            autoResizeTextarea(chatInput);
+
+            // Lock the input until the reply has arrived
+            replyInProgress = true;
+            updateSubmitButton();
+
+            // The last reply's scroll may still be running
+            if (replyController) replyController.abort();
+            replyController = new AbortController();
+            const { signal } = replyController;
+
+            try {
+                // Animate intro text away if it's still showing
+                const introText = document.getElementById('introText');
+                if (introText && introText.style.display !== 'none') {
+                    const typeWriter = new TypeWriter(introText);
+                    typeWriter.text = introText.textContent;
+                    // Calculate speed to take approx 2 seconds
+                    // Speed = Duration / Character Count
+                    const duration = 2000; // 2 seconds
+                    const charCount = typeWriter.text.length;
+                    const speed = Math.max(10, Math.floor(duration / charCount));
+
+                    // A stop cuts the animation short; the reply below is then shown as stopped
+                    await typeWriter.delete(speed, signal).catch(error => {
+                        if (!signal.aborted) throw error;
+                    });
+                    // Remove the element after animation to prevent layout issues
+                    introText.style.display = 'none';
+                }
+
+                // Start the AI's animated response sequence
+                const reply = await simulateAIConversation(message, history, signal);
+                const replyTurn = activeConversation.addTurn({
+                    id: reply.id,
+                    role: 'ai',
+                    content: reply.content,
+                    format: reply.format,
+                    provenance: reply.provenance,
+                    steps: reply.steps,
+                    stopped: reply.stopped
+                });
+                saveActiveConversation();
+                showVerifyBadge(replyTurn);
+            } catch (error) {
+                console.error('Reply failed:', error);
+            } finally {
+                // Ready for the next message
+                replyInProgress = false;
+                updateSubmitButton();
+                chatInput.focus();
+            }
+        }
+    }
+
+    // ========================================
+    // EVENT LISTENERS
+    // ========================================
+
+    // Auto-resize the textarea as user types
+    chatInput.addEventListener('input', () => {
+        autoResizeTextarea(chatInput);
+        updateSubmitButton();
+    });
+
+    // Submit when button is clicked
+    submitButton.addEventListener('click', handleSubmit);
+
+    // Stop the reply in progress
+    if (stopButton) {
+        stopButton.addEventListener('click', () => {
+            if (replyInProgress) replyController.abort();
+        });
+    }
+
+    // Submit when Enter key is pressed (Shift+Enter adds a new line)
+    chatInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && !event.shiftKey) {
+            event.preventDefault();  // Prevent adding a new line
+            handleSubmit();
+        }
+    });
+
+    // Switching chats may lock or unlock the input
+    chatInput.addEventListener('chatchange', updateSubmitButton);
+
+    // Set initial button state
+    updateSubmitButton();
+
+    // ========================================
+    // CHARACTER POSITIONING
+    // ========================================
+    /**
+     * Keep the character positioned correctly above the input field
+     * 
+     * As the input field grows/shrinks, we need to adjust the character's position
+     * This uses CSS custom properties to dynamically update the position
+     */
+    function updateInputHeight() {
+        const inputContainer = document.querySelector('.input-container');
+        if (inputContainer) {
+            const height = inputContainer.offsetHeight;
+            // Add bottom margin (1rem = 16px) to the height
+            const totalHeight = height + 16;
+            // Update CSS variable that controls character position
+            document.documentElement.style.setProperty('--input-height', `${totalHeight}px`);
+        }
+    }
+
+    // Watch for size changes to the input container
+    const inputContainer = document.querySelector('.input-container');
+    if (inputContainer) {
+        // Use ResizeObserver to detect when the input container changes size
+        new ResizeObserver(updateInputHeight).observe(inputContainer);
+        // Also update when window is resized
+        window.addEventListener('resize', updateInputHeight);
+        // Do initial update
+        updateInputHeight();
+    }
+
+    // ========================================
+    // MODAL CLOSE HANDLERS
+    // ========================================
+    const modal = document.getElementById('processModal');
+    const closeBtn = document.getElementById('closeModal');
+
+    // Close modal when X button is clicked
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeModal);
+    }
+
+    // Close modal when clicking outside the modal content (on the dark overlay)
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
+
+        // Escape closes it, and Tab stays inside it while it's open
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation(); // Leave the sidebar alone
+                closeModal();
+                return;
+            }
+            if (e.key !== 'Tab') return;
+
+            const focusable = Array.from(modal.querySelectorAll(
+                'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+            )).filter(element => !element.disabled && element.getClientRects().length > 0 &&
+                getComputedStyle(element).visibility !== 'hidden');
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const dialog = modal.querySelector('.modal-content');
+            if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        });
+    }
+
+    // ========================================
+    // MODAL EXPANDER TOGGLE
+    // ========================================
+    /**
+     * Handle expanding/collapsing the SQL query sections in the modal
+     * 
+     * Each section can be clicked to show or hide its content. The expanders are
+     * re-rendered for every answer, so we listen on the modal body.
+     */
+    const modalBody = modal.querySelector('.modal-body');
+    modalBody.addEventListener('click', (e) => {
+        const copyButton = e.target.closest('.sql-copy-button');
+        if (copyButton) {
+            copySqlBlock(copyButton);
+            return;
+        }
+
+        // Running a query opens an editable copy of it with the results underneath
+        if (e.target.closest('.sql-run-button')) {
+            openSqlRunner(e.target.closest('.sql-block'));
+            return;
+        }
+        if (e.target.closest('.sql-runner-run')) {
+            runSqlRunner(e.target.closest('.sql-runner'));
+            return;
+        }
+        if (e.target.closest('.sql-runner-reset')) {
+            const runner = e.target.closest('.sql-runner');
+            runner.querySelector('.sql-editor').value = runner.closest('.sql-block').dataset.sql;
+            runSqlRunner(runner);
+            return;
+        }
+
+        const header = e.target.closest('.modal-expander-header');
+        if (!header) return;
+
+        // Show/hide the content (headers are buttons, so Enter and Space work too)
+        const expander = header.closest('.modal-expander');
+        setExpanderExpanded(expander, !expander.classList.contains('expanded'));
+    });
+
+    // Ctrl/Cmd+Enter in a query editor runs it
+    modalBody.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && e.target.matches('.sql-editor')) {
+            e.preventDefault();
+            runSqlRunner(e.target.closest('.sql-runner'));
+        }
+    });
+
+    // ========================================
+    // CITATIONS
+    // ========================================
+    /**
+     * [^1] markers in answers preview their evidence on hover or focus, and open
+     * it in "My Process" when clicked (or Enter/Space while focused)
+     */
+    const chatMessages = document.getElementById('chatMessages');
+    const citationPreview = document.createElement('div');
+    citationPreview.className = 'citation-preview';
+    citationPreview.id = 'citationPreview';
+    citationPreview.setAttribute('role', 'tooltip');
+    document.body.appendChild(citationPreview);
+
+    // The answer a marker belongs to, and the citation it names
+    function getCitation(marker) {
+        const message = marker.closest('[data-turn-id]');
+        const turn = message ? activeConversation.getTurn(message.dataset.turnId) : null;
+        return {
+            turn,
+            citation: turn ? findCitation(turn.provenance, marker.dataset.citation) : null
+        };
+    }
+
+    function showCitationPreview(marker) {
+        const { turn, citation } = getCitation(marker);
+        citationPreview.innerHTML = citation
+            ? renderCitationPreview(turn.provenance, citation)
+            : '<p>No source was recorded for this citation.</p>';
+        citationPreview.classList.add('visible');
+        marker.setAttribute('aria-describedby', citationPreview.id);
+
+        // Below the marker, or above it when there's no room, kept inside the window
+        const rect = marker.getBoundingClientRect();
+        const width = citationPreview.offsetWidth;
+        const height = citationPreview.offsetHeight;
+        const left = Math.max(8, Math.min(rect.left + rect.width / 2 - width / 2, window.innerWidth - width - 8));
+        const top = rect.bottom + 8 + height > window.innerHeight ? rect.top - height - 8 : rect.bottom + 8;
+        citationPreview.style.left = `${left}px`;
+        citationPreview.style.top = `${Math.max(8, top)}px`;
+    }
+
+    function hideCitationPreview(marker) {
+        citationPreview.classList.remove('visible');
+        if (marker) marker.removeAttribute('aria-describedby');
+    }
+
+    function openCitation(marker) {
+        const { turn, citation } = getCitation(marker);
+        if (!citation) return;
+        hideCitationPreview(marker);
+        router.navigate(`${getConversationPath(activeConversation)}/verify/` +
+            `${encodeURIComponent(turn.id)}/source/${encodeURIComponent(citation.id)}`);
+    }
+
+    chatMessages.addEventListener('mouseover', (e) => {
+        const marker = e.target.closest('.citation');
+        if (marker && !marker.contains(e.relatedTarget)) showCitationPreview(marker);
+    });
+    chatMessages.addEventListener('mouseout', (e) => {
+        const marker = e.target.closest('.citation');
+        if (marker && !marker.contains(e.relatedTarget)) hideCitationPreview(marker);
+    });
+    chatMessages.addEventListener('focusin', (e) => {
+        if (e.target.matches('.citation')) showCitationPreview(e.target);
+    });
+    chatMessages.addEventListener('focusout', (e) => {
+        if (e.target.matches('.citation')) hideCitationPreview(e.target);
+    });
+    chatMessages.addEventListener('click', (e) => {
+        const marker = e.target.closest('.citation');
+        if (marker) openCitation(marker);
+    });
+    chatMessages.addEventListener('keydown', (e) => {
+        if (!e.target.matches('.citation')) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            openCitation(e.target);
+        } else if (e.key === 'Escape') {
+            hideCitationPreview(e.target);
+        }
+    });
+    // The preview is fixed in place, so it would drift away from its marker
+    chatMessages.addEventListener('scroll', () => hideCitationPreview(), { passive: true });
+
+    // ========================================
+    // ROUTING
+    // ========================================
+    /**
+     * URLs for chats, so they can be linked and survive a reload:
+     *   #/                            new chat
+     *   #/chat/:id                    a saved chat
+     *   #/chat/:id/message/:turnId    ...scrolled to a message (used by search)
+     *   #/chat/:id/verify             ...with "My Process" open for its latest answer
+     *   #/chat/:id/verify/:turnId     ...with "My Process" open for a specific answer
+     *   #/chat/:id/verify/:turnId/source/:citationId   ...expanded at one of its citations
+     */
+    router
+        .on('/', () => {
+            closeModal();
+            if (activeConversation.turns.length > 0 && !startNewConversation()) {
+                router.navigate(getConversationPath(activeConversation), { replace: true, silent: true });
+            }
+        })
+        .on('/chat/:id', params => showChatRoute(params, 'chat'))
+        .on('/chat/:id/message/:turnId', params => showChatRoute(params, 'message'))
+        .on('/chat/:id/verify', params => showChatRoute(params, 'verify'))
+        .on('/chat/:id/verify/:turnId', params => showChatRoute(params, 'verify'))
+        .on('/chat/:id/verify/:turnId/source/:citationId', params => showChatRoute(params, 'verify'));
+
+    // ========================================
+    // CHAT EXPORT
+    // ========================================
+    /**
+     * The open chat can be downloaded as Markdown or JSON, or printed (and saved as PDF)
+     */
+    const exportChatBtn = document.getElementById('exportChatBtn');
+    const exportMenu = document.getElementById('exportMenu');
+    if (exportChatBtn && exportMenu) {
+        initMenu(exportChatBtn, exportMenu, item => {
+            try {
+                exportConversation(activeConversation, item.dataset.export);
+            } catch (error) {
+                console.error('Could not export chat:', error);
+            }
+        });
+    }
+
+    // Anything else goes to a new chat
+    router.notFound = () => router.navigate('/', { replace: true });
+    router.start();
+});
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Colour suffix for each series, in order (.curve-a, .legend-a, .bar-a ... in styles.css)
+const CHART_SERIES_COLORS = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+// How many points curves are drawn with
+const CHART_CURVE_POINTS = 200;
+
+/**
+ * Creates an SVG element with attributes.
+ * @param {string} name - e.g. 'line'
+ * @param {Object} [attributes]
+ * @returns {SVGElement}
+ */
+function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NAMESPACE, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+/**
+ * Normal distribution density: (1 / (sd * sqrt(2 * PI))) * exp(-0.5 * ((x - mean) / sd)^2)
+ */
+function normalDensity(x, mean, sd) {
+    return Math.exp(-0.5 * ((x - mean) / sd) ** 2) / (sd * Math.sqrt(2 * Math.PI));
+}
+
+/**
+ * Kernel density estimate of samples at x, with a Gaussian kernel.
+ * @param {number} x
+ * @param {number[]} samples
+ * @param {number} bandwidth
+ * @returns {number}
+ */
+function kernelDensity(x, samples, bandwidth) {
+    const total = samples.reduce((sum, sample) => sum + normalDensity(x, sample, bandwidth), 0);
+    return total / samples.length;
+}
+
+/**
+ * Picks round tick values covering a range, e.g. 0, 2, 4 ... 18.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [targetCount=6] - Roughly how many intervals to aim for
+ * @returns {{min: number, max: number, ticks: number[]}} The range widened to whole ticks
+ */
+function niceTicks(min, max, targetCount = 6) {
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const roughStep = (max - min) / targetCount;
+    const magnitude = 10 ** Math.floor(Math.log10(roughStep));
+    const step = [1, 2, 5, 10].map(multiple => multiple * magnitude).find(candidate => candidate >= roughStep);
+
+    const start = Math.floor(min / step) * step;
+    const end = Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let tick = start; tick <= end + step / 2; tick += step) {
+        ticks.push(Number(tick.toFixed(10))); // Avoid 0.30000000000000004
+    }
+    return { min: start, max: end, ticks };
+}
+
+/**
+ * Turns a series description into what a chart draws.
+ *
+ * Series types:
+ *   { type: 'normal', mean, sd, showMean }    normal distribution curve
+ *   { type: 'kde', samples, bandwidth }       smoothed distribution of samples
+ *   { type: 'histogram', samples, binWidth, density }  bars counting samples
+ *                                             (density: true scales them to overlay curves)
+ *   { type: 'line', points: [[x, y], ...] }
+ *   { type: 'bar', points: [[x, y], ...] }
+ * Every series can also have a `name`, a `color` ('a'-'f') and `legend: false` to leave it out of the legend.
+ *
+ * @param {Object} series
+ * @param {number} index - Position in the chart, which picks the default colour
+ * @returns {Object} { type, name, color, legend, kind: 'curve'|'bars', extent, valueAt(x), points?, bars?, mean? }
+ */
+function prepareChartSeries(series, index) {
+    const prepared = {
+        type: series.type,
+        name: series.name || `Series ${index + 1}`,
+        color: CHART_SERIES_COLORS.includes(series.color) ? series.color : CHART_SERIES_COLORS[index % CHART_SERIES_COLORS.length],
+        legend: series.legend !== false
+    };
+
+    switch (series.type) {
+        case 'normal': {
+            const { mean, sd } = series;
+            return {
+                ...prepared,
+                kind: 'curve',
+                extent: [mean - 3 * sd, mean + 3 * sd],
+                valueAt: x => normalDensity(x, mean, sd),
+                mean: series.showMean ? mean : null
+            };
+        }
+
+        case 'kde': {
+            const samples = series.samples;
+            const bandwidth = series.bandwidth || 1.06 * standardDeviationOf(samples) * samples.length ** -0.2 || 1;
+            return {
+                ...prepared,
+                kind: 'curve',
+                extent: [Math.min(...samples) - 3 * bandwidth, Math.max(...samples) + 3 * bandwidth],
+                valueAt: x => kernelDensity(x, samples, bandwidth)
+            };
+        }
+
+        case 'histogram': {
+            const samples = series.samples;
+            const min = Math.min(...samples);
+            const max = Math.max(...samples);
+            // Whole-number samples get one bar per value; otherwise aim for sqrt(n) bars
+            const wholeNumbers = samples.every(Number.isInteger) && max - min <= 50;
+            const binWidth = series.binWidth || (wholeNumbers ? 1 : (max - min) / Math.min(30, Math.ceil(Math.sqrt(samples.length))) || 1);
+            const start = wholeNumbers ? min - 0.5 : min;
+            const binCount = Math.max(1, Math.ceil((max - start) / binWidth + 1e-9));
+
+            const counts = new Array(binCount).fill(0);
+            samples.forEach(sample => {
+                counts[Math.min(binCount - 1, Math.floor((sample - start) / binWidth))]++;
+            });
+            const scale = series.density ? 1 / (samples.length * binWidth) : 1;
+            const bars = counts.map((count, bin) => ({
+                x0: start + bin * binWidth,
+                x1: start + (bin + 1) * binWidth,
+                y: count * scale,
+                count
+            }));
+            return { ...prepared, kind: 'bars', histogram: true, bars, extent: [bars[0].x0, bars[bars.length - 1].x1], valueAt: x => barValueAt(bars, x) };
+        }
+
+        case 'bar': {
+            const points = [...series.points].sort((a, b) => a[0] - b[0]);
+            const gaps = points.slice(1).map((point, i) => point[0] - points[i][0]);
+            const width = (gaps.length > 0 ? Math.min(...gaps) : 1) * 0.8;
+            const bars = points.map(([x, y]) => ({ x0: x - width / 2, x1: x + width / 2, y }));
+            return { ...prepared, kind: 'bars', bars, extent: [bars[0].x0, bars[bars.length - 1].x1], valueAt: x => barValueAt(bars, x) };
+        }
+
+        case 'line': {
+            const points = [...series.points].sort((a, b) => a[0] - b[0]);
+            return {
+                ...prepared,
+                kind: 'curve',
+                points,
+                extent: [points[0][0], points[points.length - 1][0]],
+                valueAt: x => interpolateLine(points, x)
+            };
+        }
+
+        default:
+            throw new Error(`Unknown chart series type "${series.type}"`);
+    }
+}
+
+/**
+ * Height of the bar covering x, or null between and outside the bars.
+ */
+function barValueAt(bars, x) {
+    const bar = bars.find(candidate => x >= candidate.x0 && x < candidate.x1);
+    return bar ? bar.y : null;
+}
+
+/**
+ * Value of a line at x, interpolating between its points, or null outside them.
+ */
+function interpolateLine(points, x) {
+    for (let i = 1; i < points.length; i++) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        if (x >= x0 && x <= x1) {
+            return x1 === x0 ? y1 : y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+        }
+    }
+    return points.length === 1 && points[0][0] === x ? points[0][1] : null;
+}
+
+// Properties copied from the page's stylesheet onto exported charts, which can't see it
+const CHART_EXPORT_STYLES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity',
+    'font-family', 'font-size', 'font-style', 'font-weight', 'text-anchor'
+];
+
+// Exported PNGs are drawn at this multiple of the on-screen size, so they stay sharp
+const CHART_PNG_SCALE = 2;
+
+/**
+ * Saves a blob as a file, through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before letting go of the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * An SVG chart drawn from data: any number of curve and bar series on auto-scaled
+ * axes, with a legend. It redraws itself when its container changes width.
+ *
+ * Usage:
+ *   const chart = new Chart(container, {
+ *       series: [{ type: 'normal', name: 'A', mean: 8.8, sd: 2.5 }],  (see prepareChartSeries)
+ *       xLabel: 'months', yLabel: 'users',
+ *       yTicks: false,                                     hide y values (e.g. for densities)
+ *       countLabel: 'users',                               what histogram bars count, for the tooltip
+ *       annotations: [{ from: 8.8, to: 10.1, label: '1.3 months' }]  label centred over a range
+ *   });
+ *   chart.toSvg(); chart.toPng(); chart.toCsv();          (also offered as buttons on the chart)
+ *   chart.destroy();
+ */
+class Chart {
+    /**
+     * @param {HTMLElement} container - Where to draw the chart (it takes the container's size)
+     * @param {Object} options
      */
-    async function handleSubmit() {
-        // Prevent multiple submissions
-        if (messageSubmitted) {
-            return;
-        }
+    constructor(container, options) {
+        this.container = container;
+        this.options = options;
+        this.series = options.series.map(prepareChartSeries);
+        this.renderedWidth = 0;
+
+        // Redraw at the new size when the window, sidebar or modal resizes the container
+        this.resizeObserver = new ResizeObserver(() => {
+            if (this.container.offsetWidth !== this.renderedWidth) this.render();
+        });
+        this.resizeObserver.observe(container);
 
-        const message = chatInput.value.trim();
-        if (message) {
-            // Use a fixed message for the demo (ignoring what user actually typed)
-            const fixedMessage = "Hey DataSage, I released a new diagnostics tools on the 11th of October 2025. What is the impact of this change on the revenue";
+        this.render();
+    }
 
-            // Add the user's message to the chat
-            addMessage('user', fixedMessage);
+    destroy() {
+        this.resizeObserver.disconnect();
+        this.container.innerHTML = '';
+    }
 
-            // Clear the input field
-            chatInput.value = '';
-            autoResizeTextarea(chatInput);
-            updateSubmitButton();
+    /**
+     * Works out the axes' ranges from the series
+     */
+    computeScales() {
+        const { options, series } = this;
+
+        const xMin = Math.min(...series.map(item => item.extent[0]));
+        const xMax = Math.max(...series.map(item => item.extent[1]));
+        const xAxis = options.xDomain
+            ? { min: options.xDomain[0], max: options.xDomain[1], ticks: niceTicks(...options.xDomain, 10).ticks }
+            : niceTicks(xMin, xMax, 10);
+        xAxis.ticks = xAxis.ticks.filter(tick => tick >= xAxis.min && tick <= xAxis.max);
+
+        // Sample the curves across the x range; they are drawn from these points too
+        const step = (xAxis.max - xAxis.min) / CHART_CURVE_POINTS;
+        series.forEach(item => {
+            if (item.kind === 'curve' && !item.points) {
+                item.drawnPoints = [];
+                for (let i = 0; i <= CHART_CURVE_POINTS; i++) {
+                    const x = xAxis.min + i * step;
+                    item.drawnPoints.push([x, item.valueAt(x)]);
+                }
+            } else if (item.kind === 'curve') {
+                item.drawnPoints = item.points;
+            }
+        });
 
-            // Mark as submitted to prevent further submissions
-            messageSubmitted = true;
-            updateSubmitButton();
+        const yValues = series.flatMap(item => item.kind === 'bars' ? item.bars.map(bar => bar.y) : item.drawnPoints.map(point => point[1]));
+        const yMin = Math.min(0, ...yValues);
+        const yMax = Math.max(...yValues);
+        const yAxis = options.yTicks === false
+            ? { min: yMin, max: yMax * 1.06 || 1, ticks: [] }  // Only leave a little room above the peak
+            : niceTicks(yMin, yMax, 5);
+
+        return { xAxis, yAxis };
+    }
 
-            // Animate intro text away if it exists
-            const introText = document.getElementById('introText');
-            if (introText) {
-                const typeWriter = new TypeWriter(introText);
-                typeWriter.text = introText.textContent;
-                // Calculate speed to take approx 2 seconds
-                // Speed = Duration / Character Count
-                const duration = 2000; // 2 seconds
-                const charCount = typeWriter.text.length;
-                const speed = Math.max(10, Math.floor(duration / charCount));
+    render() {
+        const { container, options, series } = this;
+        container.innerHTML = '';
+
+        // Dimensions
+        const width = container.offsetWidth || 500;
+        const height = container.offsetHeight || 250;
+        const legendItems = series.filter(item => item.legend);
+        const padding = {
+            top: 40,
+            right: 20,
+            bottom: 40 + (legendItems.length > 0 ? 24 : 0),
+            left: options.yTicks === false ? 40 : 52
+        };
+        const graphWidth = width - padding.left - padding.right;
+        const graphHeight = height - padding.top - padding.bottom;
+        this.renderedWidth = container.offsetWidth;
+
+        const { xAxis, yAxis } = this.computeScales();
+        const xScale = value => ((value - xAxis.min) / (xAxis.max - xAxis.min)) * graphWidth;
+        const yScale = value => graphHeight - ((value - yAxis.min) / (yAxis.max - yAxis.min)) * graphHeight;
+
+        // Create SVG
+        const svg = createSvgElement('svg', { class: 'graph-svg', viewBox: `0 0 ${width} ${height}` });
+        container.appendChild(svg);
+
+        // Group for graph content
+        const g = createSvgElement('g', { transform: `translate(${padding.left}, ${padding.top})` });
+        svg.appendChild(g);
+
+        // Draw Series (bars first, so curves stay visible on top of them)
+        const ordered = [...series.filter(item => item.kind === 'bars'), ...series.filter(item => item.kind === 'curve')];
+        ordered.forEach(item => {
+            if (item.kind === 'bars') {
+                item.bars.forEach(bar => {
+                    if (bar.y === 0) return;
+                    const top = yScale(Math.max(0, bar.y));
+                    g.appendChild(createSvgElement('rect', {
+                        x: xScale(bar.x0),
+                        y: top,
+                        width: Math.max(0, xScale(bar.x1) - xScale(bar.x0) - 1),
+                        height: Math.abs(yScale(0) - yScale(bar.y)),
+                        class: `${item.histogram ? 'chart-histogram' : 'chart-bar'} bar-${item.color}`
+                    }));
+                });
+                return;
+            }
 
-                await typeWriter.delete(speed);
-                // Remove the element after animation to prevent layout issues
-                introText.style.display = 'none';
+            const points = item.drawnPoints
+                .filter(([, y]) => y !== null)
+                .map(([x, y]) => `${xScale(x)},${yScale(y)}`);
+            g.appendChild(createSvgElement('path', { d: `M ${points.join(' L ')}`, class: `curve-${item.color}` }));
+
+            // Vertical line from the peak down to the axis, marking the mean
+            if (item.mean !== null && item.mean !== undefined) {
+                g.appendChild(createSvgElement('line', {
+                    x1: xScale(item.mean),
+                    y1: yScale(item.valueAt(item.mean)),
+                    x2: xScale(item.mean),
+                    y2: graphHeight,
+                    class: `vertical-line-${item.color}`
+                }));
             }
+        });
 
-            // Start the AI's animated response sequence
-            simulateAIConversation();
+        // Draw Axes
+        g.appendChild(createSvgElement('line', { x1: 0, y1: graphHeight, x2: graphWidth, y2: graphHeight, class: 'axis-line' }));
+        g.appendChild(createSvgElement('line', { x1: 0, y1: 0, x2: 0, y2: graphHeight, class: 'axis-line' }));
+
+        // Axis Labels
+        if (options.yLabel) {
+            const yLabel = createSvgElement('text', {
+                x: -graphHeight / 2,
+                y: options.yTicks === false ? -30 : -42,
+                transform: 'rotate(-90)',
+                class: 'axis-label'
+            });
+            yLabel.textContent = options.yLabel;
+            g.appendChild(yLabel);
+        }
+        if (options.xLabel) {
+            const xLabel = createSvgElement('text', { x: graphWidth / 2, y: graphHeight + 35, class: 'axis-label' });
+            xLabel.textContent = options.xLabel;
+            g.appendChild(xLabel);
         }
-    }
 
-    // ========================================
-    // EVENT LISTENERS
-    // ========================================
+        // Axis Ticks
+        xAxis.ticks.forEach(tick => {
+            const text = createSvgElement('text', { x: xScale(tick), y: graphHeight + 15, class: 'axis-tick-label' });
+            text.textContent = tick;
+            g.appendChild(text);
+        });
+        yAxis.ticks.forEach(tick => {
+            const text = createSvgElement('text', { x: -8, y: yScale(tick) + 4, class: 'axis-tick-label axis-tick-label-y' });
+            text.textContent = tick;
+            g.appendChild(text);
+        });
 
-    // Auto-resize the textarea as user types
-    chatInput.addEventListener('input', () => {
-        autoResizeTextarea(chatInput);
-        updateSubmitButton();
-    });
+        // Legend: a row under the x-axis label, one swatch and name per series
+        let legendX = 0;
+        legendItems.forEach(item => {
+            const y = graphHeight + 58;
+            g.appendChild(createSvgElement('line', { x1: legendX, y1: y - 4, x2: legendX + 14, y2: y - 4, class: `curve-${item.color} chart-legend-swatch` }));
+            const label = createSvgElement('text', { x: legendX + 20, y, class: `chart-legend-label legend-${item.color}` });
+            label.textContent = item.name;
+            g.appendChild(label);
+            // Text isn't measured before layout, so estimate its width
+            legendX += 20 + item.name.length * 6.5 + 20;
+        });
 
-    // Submit when button is clicked
-    submitButton.addEventListener('click', handleSubmit);
+        // Annotations: a label centred above the series over a range
+        (options.annotations || []).forEach(annotation => {
+            let top = 0;
+            for (let i = 0; i <= 10; i++) {
+                const x = annotation.from + (annotation.to - annotation.from) * i / 10;
+                series.forEach(item => {
+                    const value = item.valueAt(x);
+                    if (value !== null) top = Math.max(top, value);
+                });
+            }
+            const text = createSvgElement('text', {
+                x: xScale((annotation.from + annotation.to) / 2),
+                y: yScale(top) - 10,
+                class: 'graph-title'
+            });
+            text.textContent = annotation.label;
+            g.appendChild(text);
+        });
 
-    // Submit when Enter key is pressed (Shift+Enter adds a new line)
-    chatInput.addEventListener('keydown', (event) => {
-        if (event.key === 'Enter' && !event.shiftKey) {
-            event.preventDefault();  // Prevent adding a new line
-            handleSubmit();
-        }
-    });
+        this.addInteraction(svg, g, { padding, graphWidth, graphHeight, xAxis, xScale, yScale });
+        this.addExportActions();
+    }
 
-    // Set initial button state
-    updateSubmitButton();
+    /**
+     * Adds the SVG, PNG and CSV download buttons to the chart's corner
+     */
+    addExportActions() {
+        const actions = document.createElement('div');
+        actions.className = 'chart-export';
+        actions.innerHTML = ['SVG', 'PNG', 'CSV'].map(format =>
+            `<button type="button" class="chart-export-button" data-format="${format.toLowerCase()}" ` +
+            `aria-label="Download chart as ${format}">${format}</button>`
+        ).join('');
+        actions.addEventListener('click', (e) => {
+            const button = e.target.closest('.chart-export-button');
+            if (button) this.download(button.dataset.format);
+        });
+        this.container.appendChild(actions);
+    }
 
-    // ========================================
-    // CHARACTER POSITIONING
-    // ========================================
     /**
-     * Keep the character positioned correctly above the input field
-     * 
-     * As the input field grows/shrinks, we need to adjust the character's position
-     * This uses CSS custom properties to dynamically update the position
+     * Downloads the chart as an image or its plotted data
+     * @param {string} format - 'svg', 'png' or 'csv'
      */
-    function updateInputHeight() {
-        const inputContainer = document.querySelector('.input-container');
-        if (inputContainer) {
-            const height = inputContainer.offsetHeight;
-            // Add bottom margin (1rem = 16px) to the height
-            const totalHeight = height + 16;
-            // Update CSS variable that controls character position
-            document.documentElement.style.setProperty('--input-height', `${totalHeight}px`);
+    async download(format) {
+        const { xLabel, yLabel } = this.options;
+        const name = [yLabel, xLabel].filter(Boolean).join(' by ')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart';
+        try {
+            if (format === 'svg') {
+                downloadBlob(new Blob([this.toSvg()], { type: 'image/svg+xml;charset=utf-8' }), `${name}.svg`);
+            } else if (format === 'png') {
+                downloadBlob(await this.toPng(), `${name}.png`);
+            } else if (format === 'csv') {
+                downloadBlob(new Blob([this.toCsv()], { type: 'text/csv;charset=utf-8' }), `${name}.csv`);
+            }
+        } catch (error) {
+            console.error('Could not export chart:', error);
         }
     }
 
-    // Watch for size changes to the input container
-    const inputContainer = document.querySelector('.input-container');
-    if (inputContainer) {
-        // Use ResizeObserver to detect when the input container changes size
-        new ResizeObserver(updateInputHeight).observe(inputContainer);
-        // Also update when window is resized
-        window.addEventListener('resize', updateInputHeight);
-        // Do initial update
-        updateInputHeight();
-    }
+    /**
+     * The chart as a standalone SVG document, as it looks in the current theme.
+     * The stylesheet's colours and fonts (series, legend and axis labels) are
+     * copied onto each element, and the crosshair is left out.
+     * @returns {string}
+     */
+    toSvg() {
+        const svg = this.container.querySelector('.graph-svg');
+        const copy = svg.cloneNode(true);
+
+        const originals = [svg, ...svg.querySelectorAll('*')];
+        const copies = [copy, ...copy.querySelectorAll('*')];
+        originals.forEach((element, index) => {
+            const computed = getComputedStyle(element);
+            const style = CHART_EXPORT_STYLES
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([, value]) => value)
+                .map(([property, value]) => `${property}: ${value}`)
+                .join('; ');
+            if (style) copies[index].setAttribute('style', style);
+        });
 
-    // ========================================
-    // MODAL CLOSE HANDLERS
-    // ========================================
-    const modal = document.getElementById('processModal');
-    const closeBtn = document.getElementById('closeModal');
+        copy.querySelectorAll('.chart-crosshair').forEach(element => element.remove());
+        ['tabindex', 'role', 'aria-label'].forEach(attribute => copy.removeAttribute(attribute));
 
-    // Close modal when X button is clicked
-    if (closeBtn) {
-        closeBtn.addEventListener('click', closeModal);
+        const [, , width, height] = copy.getAttribute('viewBox').split(' ').map(Number);
+        copy.setAttribute('xmlns', SVG_NAMESPACE);
+        copy.setAttribute('width', width);
+        copy.setAttribute('height', height);
+        // Images are otherwise transparent, and the theme's text colours only read well on its own background
+        const background = getComputedStyle(this.container).getPropertyValue('--color-background').trim() || '#ffffff';
+        copy.insertBefore(createSvgElement('rect', { width, height, fill: background }), copy.firstChild);
+
+        return new XMLSerializer().serializeToString(copy);
     }
 
-    // Close modal when clicking outside the modal content (on the dark overlay)
-    if (modal) {
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                closeModal();
+    /**
+     * The chart drawn onto a canvas, as a PNG
+     * @returns {Promise<Blob>}
+     */
+    toPng() {
+        const svgText = this.toSvg();
+        const [, , width, height] = this.container.querySelector('.graph-svg').getAttribute('viewBox').split(' ').map(Number);
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                const canvas = document.createElement('canvas');
+                canvas.width = width * CHART_PNG_SCALE;
+                canvas.height = height * CHART_PNG_SCALE;
+                const context = canvas.getContext('2d');
+                context.scale(CHART_PNG_SCALE, CHART_PNG_SCALE);
+                context.drawImage(image, 0, 0, width, height);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not draw the chart as a PNG')), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not draw the chart as a PNG'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * The plotted values as CSV, one row per point or bar. Bars are placed at their
+     * centre and histogram bars also give how many samples they count.
+     * @returns {string}
+     */
+    toCsv() {
+        const round = value => value === null ? null : Number(value.toPrecision(6));
+        const rows = [['series', 'type', 'x', 'y', 'count']];
+        this.series.forEach(item => {
+            if (item.kind === 'bars') {
+                item.bars.forEach(bar => rows.push([item.name, item.type, round((bar.x0 + bar.x1) / 2), round(bar.y), bar.count]));
+            } else {
+                item.drawnPoints.forEach(([x, y]) => rows.push([item.name, item.type, round(x), round(y), null]));
             }
         });
+        return formatCsv(rows);
     }
 
-    // ========================================
-    // MODAL EXPANDER TOGGLE
-    // ========================================
     /**
-     * Handle expanding/collapsing the SQL query sections in the modal
-     * 
-     * Each section can be clicked to show or hide its content
-     */
-    const expanderHeaders = document.querySelectorAll('.modal-expander-header');
-    expanderHeaders.forEach(header => {
-        header.addEventListener('click', () => {
-            // Find the expander container
-            const expander = header.closest('.modal-expander');
-            if (expander) {
-                // Toggle the 'expanded' class to show/hide content
-                expander.classList.toggle('expanded');
-
-                // If expanding the first expander, ensure graph is rendered
-                if (expander.classList.contains('expanded') && expander.querySelector('#abTestGraph')) {
-                    // Small delay to allow transition to start/finish so dimensions are correct
-                    setTimeout(renderGraph, 300);
-                }
+     * The x positions the crosshair snaps to: bar centres and line points, or
+     * evenly spaced points when the chart only has smooth curves
+     * @param {Object} xAxis
+     * @returns {number[]}
+     */
+    snapPositions(xAxis) {
+        const positions = new Set();
+        this.series.forEach(item => {
+            if (item.kind === 'bars') {
+                item.bars.forEach(bar => positions.add((bar.x0 + bar.x1) / 2));
+            } else if (item.points) {
+                item.points.forEach(([x]) => positions.add(x));
             }
         });
-    });
+        if (positions.size === 0) {
+            for (let i = 0; i <= 50; i++) {
+                positions.add(xAxis.min + (xAxis.max - xAxis.min) * i / 50);
+            }
+        }
+        return [...positions].filter(x => x >= xAxis.min && x <= xAxis.max).sort((a, b) => a - b);
+    }
 
-    // Initial render of graph (in case it's already visible or for readiness)
-    renderGraph();
+    /**
+     * What each series shows at x, one row per colour. Series that are left out
+     * of the legend (like a histogram under its fitted curve) join their colour's row.
+     * @param {number} x
+     * @returns {Array<{color: string, name: string, values: string[]}>}
+     */
+    describeAt(x) {
+        const rows = [];
+        this.series.forEach(item => {
+            let text;
+            if (item.histogram) {
+                const bar = item.bars.find(candidate => x >= candidate.x0 && x < candidate.x1);
+                const countLabel = this.options.countLabel || 'samples';
+                text = bar ? `${bar.count} ${bar.count === 1 ? countLabel.replace(/s$/, '') : countLabel}` : null;
+            } else {
+                const value = item.valueAt(x);
+                text = value === null ? null
+                    : item.type === 'normal' || item.type === 'kde' ? `density ${formatChartNumber(value)}`
+                        : formatChartNumber(value);
+            }
+            if (text === null) return;
 
-    // Re-render on window resize
-    window.addEventListener('resize', () => {
-        renderGraph();
-    });
-});
+            let row = rows.find(existing => existing.color === item.color);
+            if (!row) {
+                row = { color: item.color, name: item.name, values: [] };
+                rows.push(row);
+            }
+            if (item.legend) row.name = item.name;
+            row.values.push(text);
+        });
+        return rows;
+    }
 
-/**
- * Renders the A/B Test Result Graph using SVG.
- */
-function renderGraph() {
-    const container = document.getElementById('abTestGraph');
-    if (!container) return;
-
-    // Clear previous content
-    container.innerHTML = '';
-
-    // Dimensions
-    const width = container.offsetWidth || 500;
-    const height = container.offsetHeight || 250;
-    const padding = { top: 40, right: 20, bottom: 40, left: 40 };
-    const graphWidth = width - padding.left - padding.right;
-    const graphHeight = height - padding.top - padding.bottom;
-
-    // Create SVG
-    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-    svg.setAttribute("class", "graph-svg");
-    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
-    container.appendChild(svg);
-
-    // Group for graph content
-    const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
-    g.setAttribute("transform", `translate(${padding.left}, ${padding.top})`);
-    svg.appendChild(g);
-
-    // Data generation for Normal Distribution
-    // Formula: (1 / (sigma * sqrt(2*PI))) * exp(-0.5 * ((x - mu) / sigma)^2)
-    function normalDistribution(x, mu, sigma) {
-        const twoPi = 2 * Math.PI;
-        const exp = Math.exp(-0.5 * Math.pow((x - mu) / sigma, 2));
-        return (1 / (sigma * Math.sqrt(twoPi))) * exp;
-    }
-
-    // X-axis range (months)
-    const xMin = 4.5;
-    const xMax = 12.5;
-    const xScale = (val) => ((val - xMin) / (xMax - xMin)) * graphWidth;
-
-    // Y-axis scale (normalized for height)
-    // Max peak for sigma=0.5 is approx 0.8. We map 0.85 to 0 (top) and 0 to graphHeight (bottom)
-    const maxVal = 0.85;
-    const yScale = (val) => graphHeight - (val / maxVal) * graphHeight;
-
-    // Generate points for Curve A (Control/Group A) - Blue
-    // Mean = 8.8, Sigma = 0.6
-    const pointsA = [];
-    for (let x = xMin; x <= xMax; x += 0.1) {
-        const y = normalDistribution(x, 8.8, 0.6);
-        pointsA.push(`${xScale(x)},${yScale(y)}`);
-    }
-
-    // Generate points for Curve B (Variant/Group B) - Green
-    // Mean = 9.6, Sigma = 0.5 (Slightly tighter distribution)
-    const pointsB = [];
-    for (let x = xMin; x <= xMax; x += 0.1) {
-        const y = normalDistribution(x, 9.6, 0.5);
-        pointsB.push(`${xScale(x)},${yScale(y)}`);
-    }
-
-    // Draw Axes
-    const xAxis = document.createElementNS("http://www.w3.org/2000/svg", "line");
-    xAxis.setAttribute("x1", 0);
-    xAxis.setAttribute("y1", graphHeight);
-    xAxis.setAttribute("x2", graphWidth);
-    xAxis.setAttribute("y2", graphHeight);
-    xAxis.setAttribute("class", "axis-line");
-    g.appendChild(xAxis);
-
-    const yAxis = document.createElementNS("http://www.w3.org/2000/svg", "line");
-    yAxis.setAttribute("x1", 0);
-    yAxis.setAttribute("y1", 0);
-    yAxis.setAttribute("x2", 0);
-    yAxis.setAttribute("y2", graphHeight);
-    yAxis.setAttribute("class", "axis-line");
-    g.appendChild(yAxis);
-
-    // Y-axis Label
-    const yLabel = document.createElementNS("http://www.w3.org/2000/svg", "text");
-    yLabel.setAttribute("x", -graphHeight / 2);
-    yLabel.setAttribute("y", -30);
-    yLabel.setAttribute("transform", "rotate(-90)");
-    yLabel.setAttribute("class", "axis-label");
-    yLabel.textContent = "users";
-    g.appendChild(yLabel);
-
-    // X-axis Label
-    const xLabel = document.createElementNS("http://www.w3.org/2000/svg", "text");
-    xLabel.setAttribute("x", graphWidth / 2);
-    xLabel.setAttribute("y", graphHeight + 35);
-    xLabel.setAttribute("class", "axis-label");
-
-    // Styled X-axis label with colored A and B
-    const tspan1 = document.createElementNS("http://www.w3.org/2000/svg", "tspan");
-    tspan1.textContent = "months suscribed between user in ";
-    xLabel.appendChild(tspan1);
-
-    const tspanA = document.createElementNS("http://www.w3.org/2000/svg", "tspan");
-    tspanA.textContent = "A";
-    tspanA.setAttribute("class", "legend-a");
-    xLabel.appendChild(tspanA);
-
-    const tspan2 = document.createElementNS("http://www.w3.org/2000/svg", "tspan");
-    tspan2.textContent = " vs in ";
-    xLabel.appendChild(tspan2);
-
-    const tspanB = document.createElementNS("http://www.w3.org/2000/svg", "tspan");
-    tspanB.textContent = "B";
-    tspanB.setAttribute("class", "legend-b");
-    xLabel.appendChild(tspanB);
-
-    g.appendChild(xLabel);
-
-    // X-axis Ticks
-    const ticks = [5, 6, 7, 8, 9, 10, 11, 12];
-    ticks.forEach(tick => {
-        const x = xScale(tick);
-        const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
-        text.setAttribute("x", x);
-        text.setAttribute("y", graphHeight + 15);
-        text.setAttribute("class", "axis-tick-label");
-        text.textContent = tick;
-        g.appendChild(text);
-    });
+    /**
+     * One-sentence description of the chart, for screen readers
+     * @returns {string}
+     */
+    describe() {
+        const { xLabel = 'x', yLabel = 'value' } = this.options;
+        const names = this.series.filter(item => item.legend).map(item => item.name);
+        return `Chart of ${yLabel} by ${xLabel}${names.length ? `: ${names.join(', ')}` : ''}. ` +
+            'Use the arrow keys to read its values, or the data table that follows.';
+    }
 
-    // Draw Curves
-    const pathA = document.createElementNS("http://www.w3.org/2000/svg", "path");
-    pathA.setAttribute("d", `M ${pointsA.join(' L ')}`);
-    pathA.setAttribute("class", "curve-a");
-    g.appendChild(pathA);
-
-    const pathB = document.createElementNS("http://www.w3.org/2000/svg", "path");
-    pathB.setAttribute("d", `M ${pointsB.join(' L ')}`);
-    pathB.setAttribute("class", "curve-b");
-    g.appendChild(pathB);
-
-    // Vertical Lines for Means
-    const meanAX = xScale(8.8);
-    const meanBX = xScale(9.6);
-    const peakAY = yScale(normalDistribution(8.8, 8.8, 0.6));
-    const peakBY = yScale(normalDistribution(9.6, 9.6, 0.5));
-
-    const lineA = document.createElementNS("http://www.w3.org/2000/svg", "line");
-    lineA.setAttribute("x1", meanAX);
-    lineA.setAttribute("y1", peakAY);
-    lineA.setAttribute("x2", meanAX);
-    lineA.setAttribute("y2", graphHeight);
-    lineA.setAttribute("class", "vertical-line-a");
-    g.appendChild(lineA);
-
-    const lineB = document.createElementNS("http://www.w3.org/2000/svg", "line");
-    lineB.setAttribute("x1", meanBX);
-    lineB.setAttribute("y1", peakBY);
-    lineB.setAttribute("x2", meanBX);
-    lineB.setAttribute("y2", graphHeight);
-    lineB.setAttribute("class", "vertical-line-b");
-    g.appendChild(lineB);
-
-    // Difference Annotation
-    const diffText = document.createElementNS("http://www.w3.org/2000/svg", "text");
-    diffText.setAttribute("x", (meanAX + meanBX) / 2);
-    diffText.setAttribute("y", Math.min(peakAY, peakBY) - 10);
-    diffText.setAttribute("class", "graph-title");
-    diffText.textContent = "1.3 months";
-    g.appendChild(diffText);
-
-    // Tooltip Elements
-    const tooltip = document.createElement('div');
-    tooltip.className = 'graph-tooltip';
-    tooltip.innerHTML = 'Some dynamic data<br>information here';
-    container.appendChild(tooltip);
-
-    const connector = document.createElement('div');
-    connector.className = 'tooltip-connector';
-    container.appendChild(connector);
-
-    const dot = document.createElement('div');
-    dot.className = 'tooltip-dot';
-    container.appendChild(dot);
-
-    // Interaction Logic
-    function handleInteraction(e) {
-        // Get mouse/touch position relative to SVG
-        const rect = svg.getBoundingClientRect();
-        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-
-        const x = clientX - rect.left - padding.left;
-        const y = clientY - rect.top - padding.top;
-
-        // Check if close to either curve
-        // Simple approximation: check if x is within range and y is somewhat close
-        // For a robust implementation, we'd find the closest point on the path
-        // Here we just show it if hovering over the graph area for simplicity as requested "hover or touch any part of the graph curve"
-        // But let's make it slightly smarter: show if within graph bounds
-
-        if (x >= 0 && x <= graphWidth && y >= 0 && y <= graphHeight) {
-            // Show tooltip
-            tooltip.style.opacity = '1';
-            connector.style.opacity = '1';
-            dot.style.opacity = '1';
-
-            // Position Dot at the cursor x, but snapped to the closest curve Y
-            // Let's snap to Curve A for x < midpoint, Curve B for x > midpoint to simulate "hovering curve"
-            // Or just follow mouse
-
-            // Re-calculate Y on curve for current X
-            const graphXValue = xMin + (x / graphWidth) * (xMax - xMin);
-            const yA = yScale(normalDistribution(graphXValue, 8.8, 0.6));
-            const yB = yScale(normalDistribution(graphXValue, 9.6, 0.5));
-
-            // Find which curve is closer to mouse Y
-            const distA = Math.abs(y - yA);
-            const distB = Math.abs(y - yB);
-
-            let targetY = distA < distB ? yA : yB;
-
-            // Position dot
-            const dotX = x + padding.left;
+    /**
+     * A table of the chart's values for screen readers, in place of the SVG
+     * @param {number[]} positions - The x values to list
+     * @returns {HTMLTableElement}
+     */
+    renderDataTable(positions) {
+        const table = document.createElement('table');
+        table.className = 'visually-hidden';
+        const rowsAt = positions.map(x => ({ x, rows: this.describeAt(x) }));
+        const groups = [];
+        rowsAt.forEach(({ rows }) => rows.forEach(row => {
+            if (!groups.some(group => group.color === row.color)) groups.push({ color: row.color, name: row.name });
+        }));
+
+        table.innerHTML = `<caption>${escapeHtml(this.describe())}</caption>` +
+            `<thead><tr><th scope="col">${escapeHtml(this.options.xLabel || 'x')}</th>` +
+            groups.map(group => `<th scope="col">${escapeHtml(group.name)}</th>`).join('') + '</tr></thead>' +
+            '<tbody>' + rowsAt.map(({ x, rows }) =>
+                `<tr><th scope="row">${formatChartNumber(x)}</th>` +
+                groups.map(group => {
+                    const row = rows.find(candidate => candidate.color === group.color);
+                    return `<td>${row ? escapeHtml(row.values.join(', ')) : ''}</td>`;
+                }).join('') + '</tr>'
+            ).join('') + '</tbody>';
+        return table;
+    }
+
+    /**
+     * Adds the crosshair and tooltip, driven by the mouse, touch or arrow keys,
+     * and the screen-reader fallbacks
+     */
+    addInteraction(svg, g, { padding, graphWidth, graphHeight, xAxis, xScale, yScale }) {
+        const { container, options } = this;
+        const positions = this.snapPositions(xAxis);
+        if (positions.length === 0) return;
+
+        // Keyboard users focus the chart and move through it with the arrow keys
+        svg.setAttribute('tabindex', '0');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', this.describe());
+
+        const crosshair = createSvgElement('line', { class: 'chart-crosshair', x1: 0, y1: 0, x2: 0, y2: graphHeight });
+        g.appendChild(crosshair);
+
+        // Tooltip Elements
+        const tooltip = document.createElement('div');
+        tooltip.className = 'graph-tooltip';
+        tooltip.setAttribute('aria-hidden', 'true');
+        container.appendChild(tooltip);
+
+        const connector = document.createElement('div');
+        connector.className = 'tooltip-connector';
+        container.appendChild(connector);
+
+        const dot = document.createElement('div');
+        dot.className = 'tooltip-dot';
+        container.appendChild(dot);
+
+        // Announces what the crosshair is on when it moves by keyboard
+        const announcer = document.createElement('div');
+        announcer.className = 'visually-hidden';
+        announcer.setAttribute('aria-live', 'polite');
+        container.appendChild(announcer);
+
+        // Long runs of curve samples are summarised at the ticks instead
+        container.appendChild(this.renderDataTable(positions.length <= 60 ? positions : xAxis.ticks));
+
+        let activeIndex = -1;
+
+        /**
+         * Moves the crosshair to a snap position and fills the tooltip
+         * @param {number} index - Into positions
+         * @param {number} [pointerY] - Puts the dot on the series nearest the pointer (else the highest)
+         * @returns {string} The tooltip as plain text
+         */
+        const show = (index, pointerY = null) => {
+            activeIndex = index;
+            const x = positions[index];
+            const rows = this.describeAt(x);
+            const xLabel = options.xLabel || 'x';
+
+            tooltip.innerHTML = `<div class="graph-tooltip-title">${escapeHtml(xLabel)}: ${formatChartNumber(x)}</div>` +
+                rows.map(row => `<div class="graph-tooltip-row">` +
+                    `<span class="graph-tooltip-swatch swatch-${row.color}"></span>` +
+                    `<span>${escapeHtml(row.name)}<br><span class="graph-tooltip-value">${escapeHtml(row.values.join(' · '))}</span></span>` +
+                    `</div>`).join('');
+
+            // Crosshair
+            const crosshairX = xScale(x);
+            crosshair.setAttribute('x1', crosshairX);
+            crosshair.setAttribute('x2', crosshairX);
+
+            // Dot on a series at this x
+            const ys = this.series
+                .map(item => item.valueAt(x))
+                .filter(value => value !== null)
+                .map(value => yScale(value));
+            const targetY = ys.length === 0 ? graphHeight : ys.reduce((best, candidate) => {
+                if (pointerY === null) return Math.min(best, candidate);
+                return Math.abs(pointerY - candidate) < Math.abs(pointerY - best) ? candidate : best;
+            });
+            const dotX = crosshairX + padding.left;
             const dotY = targetY + padding.top;
             dot.style.left = `${dotX}px`;
             dot.style.top = `${dotY}px`;
 
-            // Position Tooltip (top left of dot usually)
-            const tooltipX = dotX - 120; // Shift left
-            const tooltipY = dotY - 60;  // Shift up
+            // Tooltip to the top left of the dot, or the right if there's no room
+            const tooltipWidth = tooltip.offsetWidth || 200;
+            const tooltipHeight = tooltip.offsetHeight || 60;
+            let tooltipX = dotX - tooltipWidth - 24;
+            if (tooltipX < 0) tooltipX = dotX + 24;
+            const tooltipY = Math.max(0, dotY - tooltipHeight - 16);
             tooltip.style.left = `${tooltipX}px`;
             tooltip.style.top = `${tooltipY}px`;
 
-            // Position Connector
-            // Draw line from tooltip to dot
-            // Simplified: just a horizontal line or similar? 
-            // The design shows a line from tooltip box to the dot.
-            // Let's use CSS transform to rotate the line
-            const dx = dotX - (tooltipX + 100); // Center of tooltip approx
-            const dy = dotY - (tooltipY + 30);
-            const angle = Math.atan2(dy, dx) * 180 / Math.PI;
-            const length = Math.sqrt(dx * dx + dy * dy);
-
-            connector.style.width = `${length}px`;
-            connector.style.left = `${tooltipX + 100}px`; // Start from tooltip center
-            connector.style.top = `${tooltipY + 30}px`;
-            connector.style.transform = `rotate(${angle}deg)`;
+            // Connector from the tooltip's centre to the dot
+            const centreX = tooltipX + tooltipWidth / 2;
+            const centreY = tooltipY + tooltipHeight / 2;
+            const dx = dotX - centreX;
+            const dy = dotY - centreY;
+            connector.style.width = `${Math.sqrt(dx * dx + dy * dy)}px`;
+            connector.style.left = `${centreX}px`;
+            connector.style.top = `${centreY}px`;
+            connector.style.transform = `rotate(${Math.atan2(dy, dx) * 180 / Math.PI}deg)`;
+
+            container.classList.add('chart-active');
+            return `${xLabel} ${formatChartNumber(x)}: ` +
+                rows.map(row => `${row.name}, ${row.values.join(', ')}`).join('; ');
+        };
+
+        const hide = () => {
+            container.classList.remove('chart-active');
+        };
 
-        } else {
-            hideTooltip();
+        // Index of the snap position nearest an x value
+        const nearestIndex = value => positions.reduce((best, position, index) =>
+            Math.abs(position - value) < Math.abs(positions[best] - value) ? index : best, 0);
+
+        // Interaction Logic
+        function handlePointer(e) {
+            // Get mouse/touch position relative to SVG
+            const rect = svg.getBoundingClientRect();
+            const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+            const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+            const x = clientX - rect.left - padding.left;
+            const y = clientY - rect.top - padding.top;
+
+            if (x >= 0 && x <= graphWidth && y >= 0 && y <= graphHeight) {
+                show(nearestIndex(xAxis.min + (x / graphWidth) * (xAxis.max - xAxis.min)), y);
+            } else {
+                hide();
+            }
         }
-    }
 
-    function hideTooltip() {
-        tooltip.style.opacity = '0';
-        connector.style.opacity = '0';
-        dot.style.opacity = '0';
+        svg.addEventListener('mousemove', handlePointer);
+        svg.addEventListener('mouseleave', hide);
+        svg.addEventListener('touchstart', handlePointer, { passive: true });
+        svg.addEventListener('touchmove', handlePointer, { passive: true });
+        svg.addEventListener('touchend', hide);
+
+        svg.addEventListener('focus', () => {
+            show(activeIndex >= 0 ? activeIndex : Math.floor(positions.length / 2));
+        });
+        svg.addEventListener('blur', hide);
+        svg.addEventListener('keydown', (e) => {
+            const last = positions.length - 1;
+            const bigStep = Math.max(1, Math.round(positions.length / 10));
+            const current = activeIndex >= 0 ? activeIndex : Math.floor(positions.length / 2);
+            let index;
+
+            if (e.key === 'ArrowRight' || e.key === 'ArrowUp') index = current + (e.shiftKey ? bigStep : 1);
+            else if (e.key === 'ArrowLeft' || e.key === 'ArrowDown') index = current - (e.shiftKey ? bigStep : 1);
+            else if (e.key === 'PageUp') index = current + bigStep;
+            else if (e.key === 'PageDown') index = current - bigStep;
+            else if (e.key === 'Home') index = 0;
+            else if (e.key === 'End') index = last;
+            else return;
+
+            e.preventDefault();
+            announcer.textContent = show(Math.max(0, Math.min(last, index)));
+        });
     }
+}
+
+/**
+ * Formats a chart value to three significant figures (9 stays 9, 0.158333 becomes 0.158).
+ * @param {number} value
+ * @returns {string}
+ */
+function formatChartNumber(value) {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(3)));
+}
+
+/**
+ * Chart options for an A/B test: each group's samples as a histogram, with the
+ * normal curve fitted to them and its mean marked, and the difference labelled.
+ * @param {Object} statistics - See renderProvenance
+ * @param {Object} result - From analyseStatistics
+ * @returns {Object} Options for Chart
+ */
+function buildAbTestChart(statistics, result) {
+    const series = [];
+    statistics.groups.forEach((group, index) => {
+        const summary = result.groups[index];
+        const color = CHART_SERIES_COLORS[index];
+        series.push({ type: 'histogram', name: `Group ${group.name} samples`, samples: group.samples, density: true, color, legend: false });
+        series.push({ type: 'normal', name: `Group ${group.name} (${group.description})`, mean: summary.mean, sd: summary.sd, showMean: true, color });
+    });
+
+    const [groupA, groupB] = result.groups;
+    return {
+        series,
+        xLabel: `${statistics.metric} (${statistics.unit})`,
+        yLabel: 'users',
+        countLabel: 'users',
+        yTicks: false,
+        annotations: [{
+            from: groupA.mean,
+            to: groupB.mean,
+            label: `${formatStatistic(Math.abs(result.difference))} ${statistics.unit}`
+        }]
+    };
+}
+
+/**
+ * Draws the charts an AI message asked for with ```chart blocks (see renderMarkdown).
+ * Charts already drawn are left alone, so this can run after every update.
+ * @param {HTMLElement} root - The message, or part of it
+ */
+function mountMessageCharts(root) {
+    root.querySelectorAll('.message-chart[data-chart]').forEach(container => {
+        const spec = container.dataset.chart;
+        container.removeAttribute('data-chart');
+        try {
+            new Chart(container, JSON.parse(spec));
+        } catch (error) {
+            console.error('Could not draw chart:', error);
+            container.classList.add('message-chart-error');
+            container.textContent = "Couldn't draw this chart.";
+        }
+    });
+}
 
-    svg.addEventListener('mousemove', handleInteraction);
-    svg.addEventListener('mouseleave', hideTooltip);
-    svg.addEventListener('touchstart', handleInteraction, { passive: true });
-    svg.addEventListener('touchend', hideTooltip);
+/**
+ * Draws a chart off-screen and returns it as a standalone SVG, for exports that
+ * can't run Chart themselves (see conversationToPrintHtml). It's always drawn in
+ * the light theme, since that's what gets printed.
+ * @param {Object} options - Options for Chart
+ * @returns {string}
+ */
+function renderChartSvg(options) {
+    const container = document.createElement('div');
+    container.className = 'chart-render-offscreen';
+    container.dataset.theme = 'light';
+    document.body.appendChild(container);
+    try {
+        const chart = new Chart(container, options);
+        const svg = chart.toSvg();
+        chart.destroy();
+        return svg;
+    } finally {
+        container.remove();
+    }
 }
 
 /**
  * Manages sidebar interactions and state.
  */
 
-// Chat history data (hardcoded for demo)
-const chatHistory = [
-    { id: 1, title: "Research on marketing funnel", timestamp: "2 hours ago" },
-    { id: 2, title: "Analysing pricing tiers and segments", timestamp: "Yesterday" }
-];
+/**
+ * Formats a timestamp like "2 hours ago" or "Yesterday".
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatRelativeTime(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'Just now';
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+
+    const days = Math.floor(hours / 24);
+    if (days === 1) return 'Yesterday';
+    if (days < 7) return `${days} days ago`;
+
+    return new Date(timestamp).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Gets the plain text of a turn, for searching.
+ * @param {Object} turn
+ * @returns {string}
+ */
+function getTurnText(turn) {
+    let text = turn.content;
+    if (turn.format === 'html') {
+        text = new DOMParser().parseFromString(text, 'text/html').body.textContent;
+    } else if (turn.format === 'markdown') {
+        text = text.replace(/\[\^[\w-]+\]/g, '').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1').replace(/[*_`#>|]/g, '');
+    }
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds conversations whose title or messages contain every search term.
+ * @param {Object[]} chats - Stored conversation records
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {Array<{chat: Object, turnId: string|null, snippet: string|null}>}
+ *   The first matching message of each chat is returned as a snippet
+ */
+function searchConversations(chats, terms) {
+    const results = [];
+
+    chats.forEach(chat => {
+        const title = chat.title.toLowerCase();
+        const turnTexts = chat.turns.map(turn => ({ turn, text: getTurnText(turn) }));
+        const allText = `${title} ${turnTexts.map(({ text }) => text.toLowerCase()).join(' ')}`;
+
+        if (!terms.every(term => allText.includes(term))) return;
+
+        // Show the message that mentions the most search terms (the earliest one on a tie)
+        let match = null;
+        let bestCount = 0;
+        turnTexts.forEach(turnText => {
+            const lowerText = turnText.text.toLowerCase();
+            const count = terms.filter(term => lowerText.includes(term)).length;
+            if (count > bestCount) {
+                match = turnText;
+                bestCount = count;
+            }
+        });
+        if (!match) {
+            results.push({ chat, turnId: null, snippet: null });
+            return;
+        }
+
+        // Center the snippet on the whole phrase if it's there, otherwise on the first term
+        const lowerText = match.text.toLowerCase();
+        const phraseIndex = lowerText.indexOf(terms.join(' '));
+        const firstIndex = phraseIndex >= 0
+            ? phraseIndex
+            : Math.min(...terms.map(term => lowerText.indexOf(term)).filter(index => index >= 0));
+        const start = Math.max(0, firstIndex - 30);
+        const end = Math.min(match.text.length, start + 90);
+        const snippet = `${start > 0 ? '…' : ''}${match.text.slice(start, end)}${end < match.text.length ? '…' : ''}`;
+
+        results.push({ chat, turnId: match.turn.id, snippet });
+    });
+
+    return results;
+}
+
+/**
+ * Escapes text and wraps every occurrence of the search terms in <mark>.
+ * @param {string} text
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {string}
+ */
+function highlightTerms(text, terms) {
+    if (terms.length === 0) return escapeHtml(text);
+
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return text
+        .split(pattern)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+}
+
+// Used to ignore list renders that finish after a newer one started
+let chatHistoryRenderId = 0;
+
+/**
+ * Renders the saved conversations into the sidebar list.
+ *
+ * When there's text in the sidebar search box, only matching chats are shown,
+ * with the matching message as a snippet.
+ */
+async function renderChatHistory() {
+    const chatHistoryList = document.getElementById('chatHistoryList');
+    if (!chatHistoryList) return;
+
+    const renderId = ++chatHistoryRenderId;
+    const searchInput = document.querySelector('.search-input');
+    const query = searchInput ? searchInput.value.trim().toLowerCase() : '';
+    const terms = query.split(/\s+/).filter(Boolean);
+
+    let chats;
+    try {
+        chats = await chatStore.getAll();
+    } catch (error) {
+        console.error('Could not load chat history:', error);
+        return;
+    }
+
+    // A newer render (e.g. more typing in the search box) has taken over
+    if (renderId !== chatHistoryRenderId) return;
+
+    if (chats.length === 0) {
+        chatHistoryList.innerHTML = '<div class="chat-list-empty">No chats yet</div>';
+        return;
+    }
+
+    const results = terms.length > 0
+        ? searchConversations(chats, terms)
+        : chats.map(chat => ({ chat, turnId: null, snippet: null }));
+
+    if (results.length === 0) {
+        chatHistoryList.innerHTML = `<div class="chat-list-empty">No chats match "${escapeHtml(query)}"</div>`;
+        return;
+    }
+
+    chatHistoryList.innerHTML = results.map(({ chat, turnId, snippet }) => `
+        <button class="chat-item" data-chat-id="${escapeHtml(chat.id)}"${turnId ? ` data-turn-id="${escapeHtml(turnId)}"` : ''}>
+            <svg class="chat-item-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+            </svg>
+            <div class="chat-item-content">
+                <div class="chat-item-title">${highlightTerms(chat.title, terms)}</div>
+                ${snippet ? `<div class="chat-item-snippet">${highlightTerms(snippet, terms)}</div>` : ''}
+                <div class="chat-item-timestamp">${formatRelativeTime(chat.updatedAt)}${chat.readOnly ? ' · <span class="read-only-tag">Read-only</span>' : ''}</div>
+            </div>
+        </button>
+    `).join('');
+
+    highlightActiveChat();
+}
+
+/**
+ * Scrolls to a message and briefly flashes it so it's easy to spot.
+ * @param {string} turnId
+ */
+function jumpToMessage(turnId) {
+    const chatMessages = document.getElementById('chatMessages');
+    const message = Array.from(chatMessages.querySelectorAll('.message'))
+        .find(element => element.dataset.turnId === turnId);
+    if (!message) return;
+
+    smoothScrollTo(message, 600);
+    message.classList.remove('message-flash');
+    void message.offsetWidth; // Restart the animation if it's already flashing
+    message.classList.add('message-flash');
+    message.addEventListener('animationend', () => message.classList.remove('message-flash'), { once: true });
+}
+
+/**
+ * Marks the sidebar item for the chat in the current URL as active.
+ */
+function highlightActiveChat() {
+    const chatHistoryList = document.getElementById('chatHistoryList');
+    if (!chatHistoryList) return;
+
+    const match = router.path.match(/^\/chat\/([^/]+)/);
+    const activeId = match ? decodePathSegment(match[1]) : null;
+
+    chatHistoryList.querySelectorAll('.chat-item').forEach(item => {
+        const isActive = item.dataset.chatId === activeId;
+        item.classList.toggle('active', isActive);
+        if (isActive) {
+            item.setAttribute('aria-current', 'page');
+        } else {
+            item.removeAttribute('aria-current');
+        }
+    });
+}
 
 // Initialize sidebar functionality when DOM is loaded
 function initSidebar() {
@@ -916,28 +6653,107 @@ function initSidebar() {
         accountPanel.classList.remove('open');
     }
 
-    // Render chat history
-    function renderChatHistory() {
-        if (!chatHistoryList) return;
+    // Open a chat when it's clicked in the list
+    if (chatHistoryList) {
+        chatHistoryList.addEventListener('click', (e) => {
+            const item = e.target.closest('.chat-item');
+            if (item) {
+                // Search results jump straight to the matching message
+                const path = `/chat/${encodeURIComponent(item.dataset.chatId)}`;
+                router.navigate(item.dataset.turnId
+                    ? `${path}/message/${encodeURIComponent(item.dataset.turnId)}`
+                    : path);
+                closeSidebar();
+            }
+        });
+    }
 
-        chatHistoryList.innerHTML = chatHistory.map(chat => `
-            <button class="chat-item" data-chat-id="${chat.id}">
-                <svg class="chat-item-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
-                </svg>
-                <div class="chat-item-content">
-                    <div class="chat-item-title">${chat.title}</div>
-                    <div class="chat-item-timestamp">${chat.timestamp}</div>
-                </div>
-            </button>
-        `).join('');
+    // Start a fresh chat
+    const newChatBtn = document.querySelector('.new-chat-btn');
+    if (newChatBtn) {
+        newChatBtn.addEventListener('click', () => {
+            // Already on an empty new chat: just reset it
+            if (router.path === '/') {
+                startNewConversation();
+            } else {
+                router.navigate('/');
+            }
+            closeSidebar();
+        });
+    }
 
-        // Add click handlers to chat items (currently just visual)
-        chatHistoryList.querySelectorAll('.chat-item').forEach(item => {
-            item.addEventListener('click', () => {
-                console.log('Chat item clicked:', item.dataset.chatId);
-                // In a real app, this would load the chat conversation
-            });
+    // Highlight the chat that's open whenever the URL changes
+    router.onChange(highlightActiveChat);
+
+    // Import a chat exported as JSON, either to continue it or just to read it
+    const importChatBtn = document.getElementById('importChatBtn');
+    const importMenu = document.getElementById('importMenu');
+    const importChatInput = document.getElementById('importChatInput');
+    const importStatus = document.getElementById('importStatus');
+    if (importChatBtn && importMenu && importChatInput && importStatus) {
+        initMenu(importChatBtn, importMenu, item => {
+            importChatInput.dataset.readOnly = item.dataset.import === 'read-only';
+            importChatInput.click();
+        });
+
+        importChatInput.addEventListener('change', async () => {
+            const file = importChatInput.files[0];
+            importChatInput.value = ''; // So the same file can be picked again
+            if (!file) return;
+            try {
+                await importConversation(file, { readOnly: importChatInput.dataset.readOnly === 'true' });
+                importStatus.textContent = '';
+                closeSidebar();
+            } catch (error) {
+                console.error('Could not import chat:', error);
+                importStatus.textContent = `Couldn't import ${file.name}. ${error.message}`;
+                clearTimeout(importStatus.resetTimer);
+                importStatus.resetTimer = setTimeout(() => {
+                    importStatus.textContent = '';
+                }, 6000);
+            }
+        });
+    }
+
+    // Search chats by title and message content
+    const searchInput = document.querySelector('.search-input');
+    if (searchInput && chatHistoryList) {
+        let searchTimeout;
+        let selectedIndex = -1; // Result picked with the arrow keys
+
+        function selectResult(index) {
+            const items = chatHistoryList.querySelectorAll('.chat-item');
+            selectedIndex = Math.max(-1, Math.min(index, items.length - 1));
+            items.forEach((item, i) => item.classList.toggle('selected', i === selectedIndex));
+            if (selectedIndex >= 0) {
+                items[selectedIndex].scrollIntoView({ block: 'nearest' });
+            }
+        }
+
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                selectedIndex = -1;
+                renderChatHistory();
+            }, 150);
+        });
+
+        searchInput.addEventListener('keydown', (e) => {
+            const items = chatHistoryList.querySelectorAll('.chat-item');
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                selectResult(selectedIndex + 1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                selectResult(selectedIndex - 1);
+            } else if (e.key === 'Enter' && items.length > 0) {
+                e.preventDefault();
+                items[Math.max(0, selectedIndex)].click();
+            } else if (e.key === 'Escape' && searchInput.value) {
+                searchInput.value = '';
+                selectedIndex = -1;
+                renderChatHistory();
+            }
         });
     }
 
@@ -1000,10 +6816,12 @@ if (document.readyState === 'loading') {
 
 /**
  * Smoothly scrolls the container to the target element with custom duration and easing.
+ * Jumps straight there when motion is reduced.
  * @param {HTMLElement} element - The target element to scroll to
- * @param {number} duration - Duration in milliseconds
+ * @param {number} duration - Duration in milliseconds, at normal speed
+ * @param {AbortSignal} [signal] - Stops the scroll where it is
  */
-function smoothScrollTo(element, duration = 1000) {
+function smoothScrollTo(element, duration = 1000, signal) {
     const container = document.getElementById('chatMessages');
     if (!container || !element) return;
 
@@ -1018,9 +6836,16 @@ function smoothScrollTo(element, duration = 1000) {
     // We use 100px as the margin (matching the CSS scroll-margin-top we tried to use)
     const targetScroll = currentScroll + relativeTop - 100;
 
+    duration = motion.duration(duration);
+    if (duration === 0) {
+        container.scrollTop = targetScroll;
+        return;
+    }
+
     const startTime = performance.now();
 
     function scroll(currentTime) {
+        if (signal && signal.aborted) return;
         const timeElapsed = currentTime - startTime;
         const progress = Math.min(timeElapsed / duration, 1);
 
@@ -0,0 +1,83 @@
+/**
+ * Settings remembered between visits, shared by the theme and the animation speed.
+ *
+ * This file loads in the page's <head>, before anything is drawn, so the saved
+ * theme is applied straight away and a dark page doesn't flash light while
+ * script.js loads. ThemeSettings and MotionSettings in script.js take over from there.
+ */
+
+/**
+ * A setting kept in localStorage, limited to a fixed set of values.
+ *
+ * Storage can be blocked (e.g. private browsing). The setting then still works
+ * for the visit, it just isn't remembered.
+ */
+class StoredSetting {
+    /**
+     * @param {string} key - Where it's kept in localStorage
+     * @param {string[]} values - The values it can have
+     * @param {string} defaultValue - Used until something else is picked
+     */
+    constructor(key, values, defaultValue) {
+        this.key = key;
+        this.values = values;
+        this.defaultValue = defaultValue;
+    }
+
+    /**
+     * The saved value, or the default if there is none (or it's no longer allowed)
+     * @returns {string}
+     */
+    read() {
+        try {
+            const saved = localStorage.getItem(this.key);
+            if (this.values.includes(saved)) return saved;
+        } catch (error) {
+            // Storage is blocked, so nothing was saved
+        }
+        return this.defaultValue;
+    }
+
+    /**
+     * @param {string} value - One of the setting's values
+     */
+    write(value) {
+        try {
+            localStorage.setItem(this.key, value);
+        } catch (error) {
+            // Not saved, but still used for this visit
+        }
+    }
+}
+
+/**
+ * Calls the listener with whether a media query matches, straight away and
+ * whenever that changes (e.g. the system switches to dark mode).
+ * @param {string} media - e.g. '(prefers-color-scheme: dark)'
+ * @param {function(boolean)} listener
+ */
+function watchMediaQuery(media, listener) {
+    const query = window.matchMedia(media);
+    query.addEventListener('change', (e) => listener(e.matches));
+    listener(query.matches);
+}
+
+// The theme picked in the account panel ('system' follows prefers-color-scheme)
+const THEME_SETTING = new StoredSetting('datasage-theme', ['light', 'dark', 'system'], 'system');
+
+/**
+ * The theme a preference comes out as
+ * @param {string} preference - One of THEME_SETTING's values
+ * @param {boolean} systemDark - Whether the system prefers dark
+ * @returns {'light'|'dark'}
+ */
+function themeFor(preference, systemDark) {
+    if (preference === 'system') return systemDark ? 'dark' : 'light';
+    return preference;
+}
+
+// Pick the theme before the page is drawn
+document.documentElement.dataset.theme = themeFor(
+    THEME_SETTING.read(),
+    window.matchMedia('(prefers-color-scheme: dark)').matches
+);
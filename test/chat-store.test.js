@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+// The IndexedDB tests run when fake-indexeddb is installed (npm install --no-save fake-indexeddb)
+let IDBFactory = null;
+try {
+    ({ IDBFactory } = require('fake-indexeddb'));
+} catch (error) {
+    // Skipped below
+}
+
+/**
+ * A ChatStore and the script's Conversation class, with IndexedDB if one is given
+ * @param {Object} [indexedDB]
+ */
+function setUp(indexedDB) {
+    const get = loadScript({
+        indexedDB,
+        window: { indexedDB },
+        console: { ...console, warn() { } }
+    });
+    return { store: new (get('ChatStore'))(), Conversation: get('Conversation') };
+}
+
+async function saveAndReadBack({ store, Conversation }) {
+    const older = new Conversation({ id: 'older', updatedAt: 1 });
+    older.addTurn({ role: 'user', content: 'First question', format: 'text' });
+    older.updatedAt = 1;
+    const newer = new Conversation({ id: 'newer', updatedAt: 2 });
+    newer.addTurn({ role: 'user', content: 'Second question', format: 'text' });
+    newer.updatedAt = 2;
+
+    await store.put(older);
+    await store.put(newer);
+    newer.addTurn({ role: 'ai', content: 'An answer', format: 'markdown' });
+    await store.put(newer);
+
+    const all = await store.getAll();
+    assert.deepStrictEqual([...all.map(record => record.id)], ['newer', 'older']);
+    const record = await store.get('newer');
+    assert.strictEqual(record.title, 'Second question');
+    assert.deepStrictEqual([...record.turns.map(turn => turn.content)], ['Second question', 'An answer']);
+    assert.strictEqual(await store.get('missing'), undefined);
+}
+
+test('ChatStore keeps conversations in memory when IndexedDB is missing', async () => {
+    const setup = setUp(undefined);
+    assert.strictEqual(await setup.store.open(), null);
+    await saveAndReadBack(setup);
+});
+
+test('ChatStore saves conversations in IndexedDB, most recently updated first', { skip: !IDBFactory && 'fake-indexeddb is not installed' }, async () => {
+    const setup = setUp(new IDBFactory());
+    assert.ok(await setup.store.open());
+    await saveAndReadBack(setup);
+});
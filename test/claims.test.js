@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const get = loadScript();
+const extractClaims = get('extractClaims');
+const checkClaims = get('checkClaims');
+
+const checkClaim = get('checkClaim');
+
+const claimTexts = content => [...extractClaims({ content, format: 'markdown' }).map(claim => claim.text)];
+
+test('claims are just the number and its unit', () => {
+    assert.deepStrictEqual(
+        claimTexts('An average increase of **1.3 months** in subscription duration, and a 3% increase in MRR.'),
+        ['1.3 months', '3%']
+    );
+    assert.deepStrictEqual(claimTexts('We heard from 1,842 users of the tool'), ['1,842 users']);
+});
+
+test('thresholds are not claims', () => {
+    assert.deepStrictEqual(claimTexts('Long-term users (>7 months) liked it'), []);
+});
+
+test('claims keep the subject they measure', () => {
+    const claims = extractClaims({ content: 'A 3% increase in MRR, a 3% drop in churn and 1,842 users of the tool.', format: 'markdown' });
+    assert.deepStrictEqual([...claims.map(claim => claim.subject)], ['mrr', 'churn', null]);
+});
+
+test('claims are only checked against figures about their subject', () => {
+    const [mrr, churn] = extractClaims({ content: 'A 3% increase in MRR and a 3% drop in churn.', format: 'markdown' });
+    const evidence = [{ kind: 'percent', value: 3, subject: 'mrr_increase_percent', label: 'MRR' }];
+    assert.strictEqual(checkClaim(mrr, evidence).status, 'confirmed');
+    assert.strictEqual(checkClaim(churn, evidence).status, 'unsupported');
+});
+
+test('the demo answer\'s MRR claim is mismatched and its duration claim confirmed', async () => {
+    const reply = await new (get('DemoAgentAdapter'))().send({ message: 'q', history: [] });
+    const { claims, problems } = await checkClaims({ id: 'demo', ...reply });
+    assert.deepStrictEqual([...problems], []);
+    assert.deepStrictEqual([...claims.map(claim => `${claim.text}: ${claim.status}`)], ['3%: mismatched', '1.3 months: confirmed']);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+const { MOCK_STEPS } = require('../mock-server');
+
+const get = loadScript();
+
+test('the demo reports as many rows as the sample userbase table has', async () => {
+    const step = get('DEMO_AGENT_STEPS').find(item => item.kind === 'rows_returned');
+    const result = await get('sampleDatabase').query('SELECT COUNT(*) FROM `prod-all-customer.userbase-table`');
+    assert.strictEqual(step.rows, result.rows[0][0]);
+    assert.match(step.label, new RegExp(`\\b${result.rows[0][0]} rows\\b`));
+});
+
+test('the mock server reports as many rows as the sample userbase table has', async () => {
+    const { rows } = MOCK_STEPS.find(item => item.kind === 'rows_returned');
+    const result = await get('sampleDatabase').query('SELECT COUNT(*) FROM `prod-all-customer.userbase-table`');
+    assert.strictEqual(rows, result.rows[0][0]);
+});
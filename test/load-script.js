@@ -0,0 +1,65 @@
+/**
+ * Loads settings.js and script.js into a sandbox with just enough of a browser
+ * for their plain functions (SQL, markdown, claims...) to be tested with `node --test`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Answers the script's fetches for files in the repository
+ * @param {string} url
+ */
+async function fetchFromRepository(url) {
+    try {
+        const text = fs.readFileSync(path.join(ROOT, url), 'utf8');
+        return { ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text) };
+    } catch (error) {
+        return { ok: false, status: 404 };
+    }
+}
+
+/**
+ * @param {Object} [globals] - Extra globals, or replacements for the defaults.
+ *   `document` and `window` are added to the default ones rather than replacing them.
+ * @returns {Function} Looks up a top-level name in the script, e.g. get('tokenizeSql')
+ */
+function loadScript({ document = {}, window = {}, ...globals } = {}) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        URL,
+        URLSearchParams,
+        AbortController,
+        DOMException,
+        TextEncoder,
+        TextDecoder,
+        performance,
+        fetch: fetchFromRepository,
+        // Still 'loading', so the page setup waits for a DOMContentLoaded that never comes
+        document: {
+            readyState: 'loading',
+            addEventListener() { },
+            baseURI: 'http://localhost/',
+            documentElement: { dataset: {} },
+            ...document
+        },
+        window: {
+            location: new URL('http://localhost/'),
+            matchMedia: () => ({ matches: false, addEventListener() { } }),
+            ...window
+        },
+        ...globals
+    });
+    // In the order index.html loads them
+    ['settings.js', 'script.js'].forEach(filename => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, filename), 'utf8'), context, { filename });
+    });
+    return name => vm.runInContext(name, context);
+}
+
+module.exports = { loadScript };
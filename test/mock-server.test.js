@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { server } = require('../mock-server');
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * POSTs to /api/chat and resolves with the response, without waiting for the whole
+ * body to be sent (the server may answer and hang up before it's all there)
+ * @param {Buffer} body
+ * @param {Object} [headers]
+ */
+function postChat(body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            path: '/api/chat',
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers }
+        }, res => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', error => {
+            // Writing the rest of a rejected upload can fail once the server hangs up
+            if (error.code !== 'EPIPE' && error.code !== 'ECONNRESET') reject(error);
+        });
+        req.write(body);
+        if (headers['Content-Length'] === undefined) req.end();
+    });
+}
+
+test('the mock server answers chat requests', async () => {
+    const { status, body } = await postChat(Buffer.from(JSON.stringify({ message: 'Hello' })));
+    assert.strictEqual(status, 200);
+    assert.strictEqual(typeof body.reply, 'string');
+});
+
+test('the mock server turns down bodies over 1 MB that say how big they are', async () => {
+    const size = 2 * 1024 * 1024;
+    const { status, body } = await postChat(Buffer.alloc(1024, ' '), { 'Content-Length': size });
+    assert.strictEqual(status, 413);
+    assert.match(body.error, /at most 1048576 bytes/);
+});
+
+test('the mock server stops reading streamed bodies once they pass 1 MB', async () => {
+    const { status } = await postChat(Buffer.alloc(1024 * 1024 + 1, ' '), { 'Transfer-Encoding': 'chunked' });
+    assert.strictEqual(status, 413);
+});
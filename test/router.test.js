@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const HashRouter = loadScript()('HashRouter');
+
+test('HashRouter.match decodes params', () => {
+    const router = new HashRouter();
+    router.on('/chat/:id', () => { });
+    assert.strictEqual(router.match('/chat/a%20b').params.id, 'a b');
+});
+
+test('HashRouter.match treats badly escaped params as unmatched', () => {
+    const router = new HashRouter();
+    router.on('/chat/:id', () => { });
+    assert.strictEqual(router.match('/chat/%E0'), null);
+});
+
+test('HashRouter.resolve sends badly escaped paths to notFound', () => {
+    const router = new HashRouter();
+    const handled = [];
+    router.on('/chat/:id', params => handled.push(params.id));
+    router.notFound = path => handled.push(`notFound ${path}`);
+    Object.defineProperty(router, 'path', { value: '/chat/%E0' });
+    router.resolve();
+    assert.deepStrictEqual(handled, ['notFound /chat/%E0']);
+});
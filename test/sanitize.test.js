@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+// sanitizeHtml needs a real HTML parser; these tests run when jsdom is installed (npm install --no-save jsdom)
+let JSDOM = null;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch (error) {
+    // Skipped below
+}
+const skip = !JSDOM && 'jsdom is not installed';
+
+function loadWithDom() {
+    const { window } = new JSDOM('');
+    return loadScript({
+        document: { createElement: tag => window.document.createElement(tag) },
+        Node: window.Node
+    });
+}
+
+const get = JSDOM ? loadWithDom() : null;
+const sanitize = html => get('sanitizeHtml')(html);
+
+test('sanitizeHtml removes script tags and what is inside them', { skip }, () => {
+    assert.strictEqual(sanitize('<p>Hi<script>alert(1)</script></p>'), '<p>Hi</p>');
+});
+
+test('sanitizeHtml removes event handler attributes', { skip }, () => {
+    assert.strictEqual(sanitize('<p onclick="alert(1)">Hi <img src="x" onerror="alert(1)"></p>'), '<p>Hi </p>');
+    assert.strictEqual(sanitize('<strong onmouseover="alert(1)">Hi</strong>'), '<strong>Hi</strong>');
+});
+
+test('sanitizeHtml removes javascript: links but keeps the text', { skip }, () => {
+    assert.strictEqual(
+        sanitize('<a href="java\tscript:alert(1)">Go</a>'),
+        '<a target="_blank" rel="noopener noreferrer">Go</a>'
+    );
+    assert.strictEqual(
+        sanitize('<a href="https://example.com">Go</a>'),
+        '<a href="https://example.com" target="_blank" rel="noopener noreferrer">Go</a>'
+    );
+});
+
+test('sanitizeHtml removes inline styles', { skip }, () => {
+    assert.strictEqual(sanitize('<p style="position: fixed; inset: 0">Hi</p>'), '<p>Hi</p>');
+});
+
+test('sanitizeHtml keeps only allowed classes', { skip }, () => {
+    assert.strictEqual(sanitize('<div class="modal-overlay">Hi</div>'), '<div>Hi</div>');
+    assert.strictEqual(sanitize('<ul class="emoji-list stop-button"><li>Hi</li></ul>'), '<ul class="emoji-list"><li>Hi</li></ul>');
+    assert.strictEqual(sanitize('<code class="language-sql verify-badge">x</code>'), '<code class="language-sql">x</code>');
+});
+
+test('sanitizeHtml removes dropped tags nested in each other or in allowed ones', { skip }, () => {
+    assert.strictEqual(sanitize('<div><svg><script>alert(1)</script></svg>Hi</div>'), '<div>Hi</div>');
+    assert.strictEqual(sanitize('<blockquote><form><iframe src="x"></iframe><style>p{}</style></form>Hi</blockquote>'), '<blockquote>Hi</blockquote>');
+    assert.strictEqual(sanitize('<section><article><em>Hi</em></article></section>'), '<em>Hi</em>');
+});
+
+test('raw HTML cannot forge citation markers or charts', { skip }, () => {
+    assert.strictEqual(
+        sanitize('<sup class="citation" data-citation="1" tabindex="0" role="button">[1]</sup>'),
+        '<sup>[1]</sup>'
+    );
+    assert.strictEqual(sanitize('<div class="message-chart" data-chart="{}"></div>'), '<div></div>');
+});
+
+test('markdown keeps its own citation markers and charts', { skip }, () => {
+    const html = get('renderMarkdown')('Up 3%[^1]\n\n```chart\n{}\n```');
+    assert.match(html, /<sup class="citation" data-citation="1" tabindex="0" role="button" aria-label="Source 1">\[1\]<\/sup>/);
+    assert.match(html, /<div class="message-chart" data-chart="\{\}"><\/div>/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const get = loadScript();
+const searchConversations = get('searchConversations');
+const highlightTerms = get('highlightTerms');
+
+const chats = [
+    {
+        id: 'mrr',
+        title: 'How did the feature affect MRR?',
+        turns: [
+            { id: 'q1', role: 'user', content: 'How did the feature affect MRR?', format: 'text' },
+            { id: 'a1', role: 'ai', content: 'There has been a **3% increase in MRR**[^1] since the launch.', format: 'markdown' }
+        ]
+    },
+    {
+        id: 'churn',
+        title: 'Churn last quarter',
+        turns: [
+            { id: 'q2', role: 'user', content: 'Churn last quarter', format: 'text' },
+            { id: 'a2', role: 'ai', content: 'Churn fell after the [pricing change](https://example.com).', format: 'markdown' }
+        ]
+    }
+];
+
+const search = terms => [...searchConversations(chats, terms)].map(({ chat, turnId, snippet }) => ({ id: chat.id, turnId, snippet }));
+
+test('searchConversations finds chats containing every term, in titles or messages', () => {
+    assert.deepStrictEqual(search(['launch']).map(result => result.id), ['mrr']);
+    assert.deepStrictEqual(search(['the']).map(result => result.id), ['mrr', 'churn']);
+    assert.deepStrictEqual(search(['churn', 'mrr']), []);
+});
+
+test('searchConversations snippets the message matching the most terms, without markdown', () => {
+    assert.deepStrictEqual(search(['increase', 'launch']), [
+        { id: 'mrr', turnId: 'a1', snippet: 'There has been a 3% increase in MRR since the launch.' }
+    ]);
+    assert.deepStrictEqual(search(['pricing']), [
+        { id: 'churn', turnId: 'a2', snippet: 'Churn fell after the pricing change.' }
+    ]);
+});
+
+test('searchConversations does not match markdown syntax or link URLs', () => {
+    assert.deepStrictEqual(search(['example.com']), []);
+    assert.deepStrictEqual(search(['**3%']), []);
+});
+
+test('highlightTerms marks every term and escapes the rest', () => {
+    assert.strictEqual(highlightTerms('MRR <up> mrr', ['mrr']), '<mark>MRR</mark> &lt;up&gt; <mark>mrr</mark>');
+    assert.strictEqual(highlightTerms('a (b) c', ['(b)']), 'a <mark>(b)</mark> c');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+// localStorage backed by a Map, or one that throws like blocked storage
+const memoryStorage = (items = {}) => {
+    const map = new Map(Object.entries(items));
+    return { getItem: key => map.has(key) ? map.get(key) : null, setItem: (key, value) => map.set(key, value), map };
+};
+const blockedStorage = {
+    getItem() { throw new Error('SecurityError'); },
+    setItem() { throw new Error('SecurityError'); }
+};
+
+test('the saved theme is applied as soon as settings.js loads', () => {
+    const documentElement = { dataset: {} };
+    loadScript({ localStorage: memoryStorage({ 'datasage-theme': 'dark' }), document: { documentElement } });
+    assert.strictEqual(documentElement.dataset.theme, 'dark');
+});
+
+test('the system theme is used when nothing valid is saved', () => {
+    const documentElement = { dataset: {} };
+    loadScript({
+        localStorage: memoryStorage({ 'datasage-theme': 'purple' }),
+        document: { documentElement },
+        window: { matchMedia: () => ({ matches: true, addEventListener() { } }) }
+    });
+    assert.strictEqual(documentElement.dataset.theme, 'dark');
+});
+
+test('StoredSetting falls back to its default and still works when storage is blocked', () => {
+    const get = loadScript({ localStorage: blockedStorage });
+    const setting = get('MOTION_SPEED_SETTING');
+    assert.strictEqual(setting.read(), 'normal');
+    assert.doesNotThrow(() => setting.write('fast'));
+});
+
+test('StoredSetting saves and reads back allowed values', () => {
+    const localStorage = memoryStorage();
+    const get = loadScript({ localStorage });
+    const setting = get('MOTION_SPEED_SETTING');
+    setting.write('slow');
+    assert.strictEqual(localStorage.map.get('datasage-motion-speed'), 'slow');
+    assert.strictEqual(setting.read(), 'slow');
+    localStorage.map.set('datasage-motion-speed', 'constructor');
+    assert.strictEqual(setting.read(), 'normal');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const get = loadScript();
+const tokenizeSql = get('tokenizeSql');
+const highlightSql = get('highlightSql');
+const sampleDatabase = get('sampleDatabase');
+
+const USERBASE = '`prod-all-customer.userbase-table`';
+
+test('tokenizeSql gives back the query for keywords split over spaces and lines', () => {
+    const queries = [
+        'SELECT a FROM t GROUP\n  BY a',
+        'SELECT a FROM t ORDER  BY a',
+        'SELECT a FROM t GROUP BY a ORDER\tBY a LIMIT 1',
+        'SELECT * FROM t LEFT   OUTER\nJOIN u ON t.id = u.id'
+    ];
+    queries.forEach(sql => {
+        const tokens = tokenizeSql(sql);
+        assert.strictEqual(tokens.map(token => token.text).join(''), sql);
+        assert.ok(!tokens.some(token => token.type === 'identifier' && token.text === 'Y'), sql);
+    });
+});
+
+test('tokenizeSql keeps the written keyword and a normalised one', () => {
+    const keyword = tokenizeSql('select a from t group\n  by a').find(token => /^group/.test(token.text));
+    assert.strictEqual(keyword.type, 'keyword');
+    assert.strictEqual(keyword.text, 'group\n  by');
+    assert.strictEqual(keyword.keyword, 'GROUP BY');
+});
+
+test('highlightSql keeps every line of a keyword split over lines', () => {
+    const lines = highlightSql('SELECT a\nFROM t\nORDER\nBY a');
+    assert.strictEqual(lines.length, 4);
+    assert.match(lines[2], /ORDER/);
+    assert.match(lines[3], /^<span class="sql-keyword">BY<\/span> /);
+});
+
+test('sample queries run with GROUP BY and ORDER BY over several spaces and lines', async () => {
+    const result = await sampleDatabase.query(
+        `SELECT plan, COUNT(*) AS users\nFROM ${USERBASE}\nGROUP  BY plan\nORDER\n  BY users DESC`
+    );
+    assert.deepStrictEqual([...result.columns], ['plan', 'users']);
+    const total = result.rows.reduce((sum, row) => sum + row[1], 0);
+    assert.strictEqual(total, 600);
+    assert.ok(result.rows.every((row, index) => index === 0 || result.rows[index - 1][1] >= row[1]));
+});
+
+test('sample queries treat built-in object names as unknown columns and tables', async () => {
+    await assert.rejects(sampleDatabase.query(`SELECT constructor FROM ${USERBASE}`), /Unknown column "constructor"/);
+    await assert.rejects(sampleDatabase.query(`SELECT u.toString FROM ${USERBASE} u`), /Unknown column "u.toString"/);
+    await assert.rejects(sampleDatabase.query(`SELECT plan FROM ${USERBASE} ORDER BY toString`), /Unknown column "toString"/);
+    await assert.rejects(sampleDatabase.query(`SELECT constructor.plan FROM ${USERBASE}`), /Unknown table "constructor"/);
+    await assert.rejects(sampleDatabase.query('SELECT * FROM constructor'), /no sample table called "constructor"/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const readServerSentEvents = loadScript()('readServerSentEvents');
+
+// A stream reader that hands out the text in the given chunks
+function readerOf(chunks) {
+    const encoded = chunks.map(chunk => typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+    return {
+        async read() {
+            return encoded.length > 0 ? { done: false, value: encoded.shift() } : { done: true };
+        }
+    };
+}
+
+async function collect(chunks) {
+    const events = [];
+    for await (const event of readServerSentEvents(readerOf(chunks))) events.push({ ...event });
+    return events;
+}
+
+test('readServerSentEvents joins events split across chunks', async () => {
+    const events = await collect([
+        'data: {"del',
+        'ta": "Hel"}\n',
+        '\ndata: {"delta": "lo"}\r\n\r',
+        '\ndata: {"type": "step", "kind": "sql_running"}\n\n'
+    ]);
+    assert.deepStrictEqual(events, [
+        { type: 'delta', text: 'Hel' },
+        { type: 'delta', text: 'lo' },
+        { type: 'step', kind: 'sql_running' }
+    ]);
+});
+
+test('readServerSentEvents keeps characters split across chunks', async () => {
+    const bytes = new TextEncoder().encode('data: {"delta": "📈"}\n\n');
+    assert.deepStrictEqual(await collect([bytes.slice(0, 19), bytes.slice(19)]), [{ type: 'delta', text: '📈' }]);
+});
+
+test('readServerSentEvents stops at [DONE]', async () => {
+    const events = await collect(['data: {"delta": "Hi"}\n\ndata: [DONE]\n\ndata: {"delta": "ignored"}\n\n']);
+    assert.deepStrictEqual(events, [{ type: 'delta', text: 'Hi' }]);
+});
+
+test('readServerSentEvents throws on an error event', async () => {
+    await assert.rejects(
+        collect(['data: {"delta": "Hi"}\n\n', 'data: {"error": "quota exceeded"}\n\n']),
+        /Agent backend stream error: quota exceeded/
+    );
+});
+
+test('readServerSentEvents treats plain text as reply text and skips comments', async () => {
+    const events = await collect([': keep-alive\n\ndata: line one\ndata: line two\n\n']);
+    assert.deepStrictEqual(events, [{ type: 'delta', text: 'line one\nline two' }]);
+});
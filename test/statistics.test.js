@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const get = loadScript();
+const zTestDifferenceInMeans = get('zTestDifferenceInMeans');
+const twoSidedPValue = get('twoSidedPValue');
+const normalQuantile = get('normalQuantile');
+
+const assertClose = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be ${expected}`);
+
+test('twoSidedPValue and normalQuantile give the standard normal table values', () => {
+    assertClose(twoSidedPValue(0), 1);
+    assertClose(twoSidedPValue(1.959964), 0.05);
+    assertClose(twoSidedPValue(-2.575829), 0.01);
+    assertClose(normalQuantile(0.975), 1.959964);
+    assertClose(normalQuantile(0.05), -1.644854);
+});
+
+test('zTestDifferenceInMeans gives the textbook z, p-value and confidence interval', () => {
+    // Means 2.5 and 4.5, both SDs sqrt(5/3), so the standard error is sqrt(5/6)
+    const result = zTestDifferenceInMeans([1, 2, 3, 4], [3, 4, 5, 6]);
+    assert.deepStrictEqual([...result.groups.map(group => group.n)], [4, 4]);
+    assertClose(result.groups[0].mean, 2.5);
+    assertClose(result.groups[1].sd, Math.sqrt(5 / 3));
+    assertClose(result.difference, 2);
+    assertClose(result.standardError, Math.sqrt(5 / 6));
+    assertClose(result.z, 2.190890);
+    assertClose(result.pValue, 0.028460);
+    assert.strictEqual(result.significant, true);
+    assertClose(result.confidenceInterval[0], 0.210806);
+    assertClose(result.confidenceInterval[1], 3.789194);
+});
+
+test('zTestDifferenceInMeans follows the alpha and confidence level it is given', () => {
+    const result = zTestDifferenceInMeans([1, 2, 3, 4], [3, 4, 5, 6], { alpha: 0.01, confidenceLevel: 0.9 });
+    assert.strictEqual(result.significant, false);
+    assertClose(result.confidenceInterval[0], 2 - 1.644854 * Math.sqrt(5 / 6));
+    assertClose(result.confidenceInterval[1], 2 + 1.644854 * Math.sqrt(5 / 6));
+});
+
+test('zTestDifferenceInMeans rejects empty and single-sample groups', () => {
+    assert.throws(() => zTestDifferenceInMeans([], [1, 2, 3]), /at least two samples/);
+    assert.throws(() => zTestDifferenceInMeans([1, 2, 3], [4]), /at least two samples/);
+});
+
+test('zTestDifferenceInMeans rejects groups without any variance', () => {
+    assert.throws(() => zTestDifferenceInMeans([5, 5, 5], [5, 5, 5]), /vary/);
+    assert.throws(() => zTestDifferenceInMeans([1, 2, 3], [7, 7, 7]), /vary/);
+});
+
+test('the demo statistics describe the same numbers the test computes', () => {
+    const statistics = get('DEMO_PROVENANCE').sections[0].statistics;
+    const result = get('analyseStatistics')(statistics);
+    const copy = [...get('describeStatistics')(statistics)].join(' ');
+    assert.match(copy, new RegExp(`was ${get('formatStatistic')(Math.abs(result.difference))} months higher`));
+    assert.match(copy, new RegExp(`z statistic was ${get('formatStatistic')(result.z, 2)}`));
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const TypeWriter = loadScript()('TypeWriter');
+
+test('TypeWriter stops typing as soon as its signal is aborted', async () => {
+    const element = { textContent: '' };
+    const typeWriter = new TypeWriter(element);
+    const controller = new AbortController();
+
+    const typing = typeWriter.type('Hello there', 20, controller.signal);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    controller.abort();
+    await assert.rejects(typing, { name: 'AbortError' });
+
+    const typed = element.textContent;
+    assert.ok(typed.length > 0 && typed.length < 'Hello there'.length);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(element.textContent, typed);
+});